@@ -14,34 +14,417 @@ const API_BASE = "https://tfswuifr58.execute-api.ap-southeast-2.amazonaws.com";
 
 // Application state
 let currentTimeline = "day";
+let customRange = null;       // { start: Date, end: Date } when currentTimeline is "custom"
+let zoomWindow = null;        // { min, max } epoch millis shared by all charts while zoomed
+let currentReadings = [];     // Raw readings behind the charts (period data + zoom detail)
+let feedingMarkers = [];      // Fed events drawn on the ammonia/pH charts: { time, quantity, status }
+let waterTests = [];          // Manual test kit results for the loaded range (plus alert lookback), oldest first
+let alertHistory = [];        // Alert log entries for the selected tank (alerts page)
+let predictionLog = [];       // Recorded ammonia predictions for the selected tank (accuracy page)
+let dailySummaries = [];      // daily_summary rows for the selected tank (history page)
+let feedingPlans = [];        // Recurring feeding plans for the selected tank (feeding page)
+// Feeding history table (feeding page): filters sent to the API, loaded pages (newest first),
+// next_token of the next page (null once all are loaded) and summarizeFeedings() over every match
+let feedingHistory = { query: null, events: [], cursor: null, totals: null };
+let editingPlanSkipDates = []; // Skip dates while the feeding plan modal is open
+let predictionCalibration = null; // AquaScope_PredictionCalibration result for the selected tank
+let predictionCheckRequests = {}; // Latest checkFeederPrediction call per form (older results are ignored)
+let deviceHealth = null;      // assessDeviceHealth() result for the loaded readings
+let deviceHealthInterval;
+let alarmAudioContext = null; // Web Audio context for the alarm sound (unlocked by a user click)
+let zoomDetailTimeout;
 let charts = {};              // canvasId -> Chart instance
-let refreshInterval;
+let refreshInterval;          // Polling fallback while the live channel is down
+let profileRefreshInterval;   // Periodic tank profile + prediction refresh (not pushed live)
+let liveSocket = null;        // WebSocket to AquaScope_LiveUpdates
+let liveReconnectAttempts = 0;
+let liveReconnectTimeout;
+let liveReloadTimeout;
 let retryTimeouts = {};
 let isLoadingSensorData = false;
+let readingCachePromise = null; // openReadingCache() result (IDBDatabase or null)
+let servingCachedData = false;  // Last loads fell back to cached data (network down)
+let isReplayingFeedingQueue = false;
 let currentPage = "overview"; // Track which page is loaded
+let currentTankId = null;     // Selected tank (see TANK_REGISTRY)
+let alertThresholds = null;   // ALERT_THRESHOLDS merged with the tank profile's overrides
+
+// Live updates - API Gateway WebSocket stage URL for AquaScope_LiveUpdates.
+// Empty until deployed: pages then poll /readings?since= instead.
+// ?live=ws://localhost:8787 points a browser at dev/mock-live-server.js.
+const LIVE_UPDATES_URL = "";
+const LIVE_URL_QUERY_PARAM = "live";
+const LIVE_URL_STORAGE_KEY = "liveUpdatesUrl";
+const LIVE_RECONNECT_BASE_MS = 1000;
+const LIVE_RECONNECT_MAX_MS = 60 * 1000;
+const LIVE_RELOAD_DEBOUNCE_MS = 5000;
+const POLL_INTERVAL_MS = 60 * 1000;
+const PROFILE_REFRESH_MS = 60 * 1000;
+
+// Offline mode - feeding create/edit/delete made offline are queued (in order) and replayed
+const FEEDING_QUEUE_STORAGE_KEY = "feedingActionQueue";
+const FEEDING_CONFLICTS_STORAGE_KEY = "feedingSyncConflicts";
+const LAST_SYNC_STORAGE_KEY = "lastOnlineSyncAt";
+
+// Recurring feeding plans (AquaScope_FeedingPlansAPI materializes the next 24h server-side)
+const FEEDING_PLAN_WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]; // Date#getDay() order
+const FEEDING_PLAN_DAY_PRESETS = {
+  daily: ["mon", "tue", "wed", "thu", "fri", "sat", "sun"],
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+};
+const FEEDING_PLAN_PREVIEW_DAYS = 7; // Planned occurrences listed under Pending Feedings
+
+// Tank/device registry - each tank has its own M5Core sensor publishing readings
+const TANK_REGISTRY = [
+  { tankId: "tank_001", deviceId: "aquasense_01", name: "Tank 1" },
+  { tankId: "tank_002", deviceId: "aquasense_02", name: "Tank 2" },
+];
+
+// Selected tank is kept in the URL (?tank=) and in localStorage
+const TANK_QUERY_PARAM = "tank";
+const TANK_STORAGE_KEY = "selectedTankId";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// In-browser reading cache (IndexedDB)
+const READING_CACHE_DB = "aquascope-cache";
+const READING_CACHE_VERSION = 1;
+const READING_CACHE_MAX_AGE_MS = 45 * DAY_MS; // Longest timeline (1 month) plus margin
+// Readings from the last few minutes may still be on their way to DynamoDB -
+// they are cached but their range is re-fetched on the next load
+const READING_CACHE_SETTLE_MS = 2 * 60 * 1000;
+const READING_FETCH_MAX_PAGES = 20;
 
 // Timeline configurations - maps to API period parameter
+// ("custom" sends explicit start/end instead, see customRange)
 const TIMELINE_CONFIG = {
-  day: { period: "1d", label: "1 Day" },
-  week: { period: "1w", label: "1 Week" },
-  month: { period: "1m", label: "1 Month" },
+  day: { period: "1d", label: "1 Day", spanMs: DAY_MS },
+  week: { period: "1w", label: "1 Week", spanMs: 7 * DAY_MS },
+  month: { period: "1m", label: "1 Month", spanMs: 30 * DAY_MS },
+  custom: { period: null, label: "Custom Range" },
+};
+
+// Zoomed windows at most this wide fetch their own readings from /readings (start/end)
+const ZOOM_DETAIL_MAX_SPAN_MS = 2 * DAY_MS;
+
+// Time axis units by visible span (first match wins)
+const TIME_AXIS_UNITS = [
+  { maxSpanMs: 3 * HOUR_MS, unit: "minute", displayFormat: "HH:mm", tooltipFormat: "MMM dd, yyyy HH:mm" },
+  { maxSpanMs: 2 * DAY_MS, unit: "hour", displayFormat: "HH:mm", tooltipFormat: "MMM dd, yyyy HH:mm" },
+  { maxSpanMs: 14 * DAY_MS, unit: "day", displayFormat: "MMM dd", tooltipFormat: "MMM dd, yyyy HH:mm" },
+  { maxSpanMs: 93 * DAY_MS, unit: "week", displayFormat: "MMM dd", tooltipFormat: "MMM dd, yyyy" },
+  { maxSpanMs: Infinity, unit: "month", displayFormat: "MMM yyyy", tooltipFormat: "MMM dd, yyyy" },
+];
+
+// Metric registry - every measured value, in display order. Chart cards and placeholders
+// (monitoring page), threshold alerts and reading exports are generated from it, so a new
+// probe only needs an entry here.
+//   source:         "sensor" (field of each M5Core reading) or "test" (manual test kit result)
+//   precision:      decimals shown in alerts (exports average to one more)
+//   thresholds:     default alert range, overridden per tank by profile.alert_thresholds[key]
+//                   (AquaSence_DataProcessor uses the same sensor defaults for SNS alerts)
+//   plausible:      physically possible sensor values - anything outside is a sensor fault.
+//                   zeroIsMissing: an exact 0 is what a missing value looks like after a `|| 0` fallback.
+//                   flatlineMs: identical values for this long mean a stuck probe.
+//   alerts:         copy for readings below min (low) / above max (high)
+//   feedingMarkers: draw feeding events on this chart
+//   calibrated:     raw sensor value converted with the tank's water level calibration
+//                   (convertWaterLevel); chart unit and title follow the calibration
+const METRICS = [
+  {
+    key: "temperature",
+    field: "temperature",
+    source: "sensor",
+    label: "Temperature",
+    unit: "°C",
+    precision: 1,
+    color: "#e74c3c",
+    thresholds: { min: 24, max: 30 },
+    plausible: { min: 1, max: 45, flatlineMs: 2 * HOUR_MS },
+    alerts: {
+      low: { level: "danger", title: "Low Temperature", suggestion: "Check thermal regulator and heating system" },
+      high: { level: "danger", title: "High Temperature", suggestion: "Check cooling system and water circulation" },
+    },
+  },
+  {
+    key: "ph",
+    field: "ph",
+    source: "sensor",
+    label: "pH Level",
+    unit: "",
+    precision: 2,
+    color: "#3498db",
+    thresholds: { min: 6.5, max: 8.0 },
+    plausible: { min: 2, max: 12, flatlineMs: 2 * HOUR_MS },
+    alerts: {
+      low: { level: "caution", title: "Low pH", suggestion: "Perform water change and check water source" },
+      high: { level: "caution", title: "High pH", suggestion: "Perform water change and review filtration" },
+    },
+    feedingMarkers: true,
+  },
+  {
+    key: "ammonia",
+    field: "ammonia",
+    source: "sensor",
+    label: "Ammonia",
+    unit: "ppm",
+    precision: 3,
+    color: "#f39c12",
+    thresholds: { max: 0.25 },
+    plausible: { min: 0, max: 10 },
+    alerts: {
+      high: { level: "danger", title: "High Ammonia Detected", suggestion: "Perform immediate water change and check biofilter" },
+    },
+    feedingMarkers: true,
+  },
+  {
+    // Low level is checked against the tank's target level in updateAlerts, not a fixed range
+    key: "waterLevel",
+    field: "water_level",
+    source: "sensor",
+    label: "Water Level",
+    unit: null,
+    calibrated: true,
+    precision: 1,
+    color: "#2ecc71",
+    thresholds: { percentageOfTarget: 0.8 },
+    plausible: { min: 0, max: 1000, zeroIsMissing: true },
+  },
+  {
+    key: "nitrite",
+    field: "nitrite",
+    source: "test",
+    label: "Nitrite",
+    unit: "ppm",
+    precision: 2,
+    color: "#9b59b6",
+    thresholds: { max: 0.5 },
+    plausible: { min: 0, max: 20 },
+    alerts: {
+      high: { level: "danger", title: "High Nitrite", suggestion: "Perform a water change and reduce feeding until the biofilter catches up" },
+    },
+  },
+  {
+    key: "nitrate",
+    field: "nitrate",
+    source: "test",
+    label: "Nitrate",
+    unit: "ppm",
+    precision: 0,
+    color: "#e67e22",
+    thresholds: { max: 40 },
+    plausible: { min: 0, max: 500 },
+    alerts: {
+      high: { level: "caution", title: "High Nitrate", suggestion: "Increase water changes and remove decaying food and plant matter" },
+    },
+  },
+  {
+    key: "kh",
+    field: "kh",
+    source: "test",
+    label: "KH",
+    unit: "dKH",
+    precision: 1,
+    color: "#1abc9c",
+    thresholds: { min: 3, max: 12 },
+    plausible: { min: 0, max: 40 },
+    alerts: {
+      low: { level: "caution", title: "Low KH", suggestion: "Low buffering lets pH swing - add a KH buffer or use harder top-up water" },
+      high: { level: "caution", title: "High KH", suggestion: "Mix softer water (e.g. RO) into water changes" },
+    },
+  },
+  {
+    key: "gh",
+    field: "gh",
+    source: "test",
+    label: "GH",
+    unit: "dGH",
+    precision: 1,
+    color: "#34495e",
+    thresholds: { min: 4, max: 12 },
+    plausible: { min: 0, max: 60 },
+    alerts: {
+      low: { level: "caution", title: "Low GH", suggestion: "Add a GH remineralizer at water changes" },
+      high: { level: "caution", title: "High GH", suggestion: "Mix softer water (e.g. RO) into water changes" },
+    },
+  },
+];
+
+const SENSOR_METRICS = METRICS.filter((metric) => metric.source === "sensor");
+// Manual water tests (AquaScope_WaterTestsAPI, which keeps its own list of accepted results);
+// updateAlerts checks the latest result of each while it is at most WATER_TEST_MAX_AGE_MS old
+const WATER_TEST_METRICS = METRICS.filter((metric) => metric.source === "test");
+
+// Lookups derived from METRICS
+const CHART_COLORS = Object.fromEntries(METRICS.map((metric) => [metric.key, metric.color]));
+const ALERT_THRESHOLDS = Object.fromEntries(
+  METRICS.map((metric) => [metric.key, { ...metric.thresholds, label: metric.label }])
+);
+const SENSOR_PLAUSIBLE_RANGES = Object.fromEntries(
+  SENSOR_METRICS.map((metric) => [metric.field, { label: metric.label, ...metric.plausible }])
+);
+
+const WATER_TEST_MAX_AGE_MS = 14 * DAY_MS;
+const WATER_TEST_IMPORT_MAX_ROWS = 500; // AquaScope_WaterTestsAPI MAX_IMPORT_ROWS
+
+// Water level sensor types (profile.water_level_sensor.type)
+//   ultrasonic: mounted above the tank, reports the distance down to the water surface (cm);
+//               calibrated with the distances measured when the tank is empty and full
+//   depth:      pressure/float sensor reporting the water depth (cm)
+//   percent:    reports the level as a percentage of a full tank
+// Tanks without a calibration are treated as depth sensors, matching the target level in cm.
+const WATER_LEVEL_SENSOR_TYPES = ["ultrasonic", "depth", "percent"];
+const DEFAULT_WATER_LEVEL_SENSOR = "depth";
+// Units a water level converts to (convertWaterLevel); the chart uses the last one available
+const WATER_LEVEL_UNITS = [
+  { key: "cm", symbol: "cm", precision: 1, title: "Water Level (cm)" },
+  { key: "percent", symbol: "%", precision: 0, title: "Water Level (%)" },
+  { key: "liters", symbol: "L", precision: 1, title: "Water Volume (L)" },
+];
+
+// Trend rules - evaluated over the loaded readings window, ending at the latest reading
+//   drop:        value fell more than maxDrop below its peak within windowMs
+//   risingSteady: hourly means increased every hour for windowMs, by at least minRise overall
+//   fallingRate: least-squares slope over windowMs falls faster than maxFallPerHour
+const TREND_RULES = [
+  {
+    id: "temperature_drop",
+    type: "drop",
+    field: "temperature",
+    windowMs: HOUR_MS,
+    maxDrop: 2,
+    unit: "°C",
+    precision: 1,
+    level: "danger",
+    title: "Rapid Temperature Drop",
+    suggestion: "Check heater and room temperature; avoid large cold water changes",
+  },
+  {
+    id: "ammonia_rising",
+    type: "risingSteady",
+    field: "ammonia",
+    windowMs: 3 * HOUR_MS,
+    minRise: 0.05,
+    unit: " ppm",
+    precision: 3,
+    level: "caution",
+    title: "Ammonia Rising Steadily",
+    suggestion: "Reduce feeding, remove uneaten food and check the biofilter before it reaches toxic levels",
+  },
+  {
+    id: "water_level_leak",
+    type: "fallingRate",
+    field: "water_level",
+    // Judged on the calibrated depth, so the limit holds for every sensor type
+    convert: (raw) => convertWaterLevel(raw).cm,
+    windowMs: 3 * HOUR_MS,
+    // Evaporation is a fraction of a cm per day; this is well beyond it
+    maxFallPerHour: 0.5,
+    unit: " cm",
+    precision: 2,
+    level: "danger",
+    title: "Possible Leak",
+    suggestion: "Water level is falling faster than evaporation - inspect seals, hoses and filter connections",
+  },
+];
+
+// A trend window needs this share of its span covered by readings (and 3+ points) to be judged
+const TREND_MIN_COVERAGE = 0.75;
+
+// Device health - default silence before the sensor is reported offline
+// (overridden per tank by profile.offline_after_minutes)
+const DEFAULT_OFFLINE_AFTER_MINUTES = 10;
+
+// A pause longer than this multiple of the typical reading interval (and at least
+// MIN_GAP_MS) is a gap in the series; charts draw it as a break in the line
+const GAP_INTERVAL_MULTIPLE = 10;
+const MIN_GAP_MS = 5 * 60 * 1000;
+
+// Browser alarms for danger alerts - preferences are per browser (e.g. a wall-mounted screen)
+const ALARM_SETTINGS_STORAGE_KEY = "alarmSettings";
+const ALARM_STATE_STORAGE_KEY = "alarmNotifiedAlerts";
+const DEFAULT_ALARM_SETTINGS = {
+  notifications: false,
+  sound: false,
+  quietHours: false,
+  quietStart: "22:00",       // Singapore time
+  quietEnd: "07:00",
+  snoozedUntil: null,        // epoch millis
+};
+// An alert that clears and comes back within this window does not alarm again (flapping)
+const ALARM_REARM_MS = 15 * 60 * 1000;
+
+// Settings modal inputs for the editable thresholds
+const THRESHOLD_INPUTS = [
+  { key: "temperature", bound: "min", inputId: "temperatureMinInput" },
+  { key: "temperature", bound: "max", inputId: "temperatureMaxInput" },
+  { key: "ph", bound: "min", inputId: "phMinInput" },
+  { key: "ph", bound: "max", inputId: "phMaxInput" },
+  { key: "ammonia", bound: "max", inputId: "ammoniaMaxInput" },
+];
+
+// Chart threshold styling (safe band, min/max lines, breached points)
+const THRESHOLD_STYLE = {
+  safeBand: "rgba(40, 167, 69, 0.08)",
+  limitLine: "#dc3545",
+  breach: "#dc3545",
 };
 
-// Chart color schemes
-const CHART_COLORS = {
-  temperature: "#e74c3c",
-  ph: "#3498db",
-  ammonia: "#f39c12",
-  waterLevel: "#2ecc71",
+// Feeding event markers on the monitoring charts
+const FEEDING_MARKER_CHARTS = METRICS.filter((metric) => metric.feedingMarkers).map(getMetricChartId);
+const FEEDING_MARKER_COLORS = {
+  fed: "#8e44ad",
+  failed: "#95a5a6",
+};
+// Feeding events are keyed by post time, so look back far enough to catch feeds scheduled in advance
+// (AquaScope_FeedingEventsAPI bounds feed_from queries with the same FEED_POST_LOOKBACK_DAYS)
+const FEEDING_MARKER_LOOKBACK_MS = 7 * DAY_MS;
+
+// Alert log rules (written by AquaSence_DataProcessor) - titles match updateAlerts
+const ALERT_RULE_TITLES = {
+  temperature_low: "Low Temperature",
+  temperature_high: "High Temperature",
+  ph_low: "Low pH",
+  ph_high: "High pH",
+  ammonia_high: "High Ammonia Detected",
 };
 
-// Alert thresholds and ranges
-const ALERT_THRESHOLDS = {
-  temperature: { min: 24, max: 30, label: "Temperature" },
-  ph: { min: 6.5, max: 8.0, label: "pH Level" },
-  ammonia: { max: 0.25, label: "Ammonia" },
-  waterLevel: { percentageOfTarget: 0.8, label: "Water Level" },
+// Default alert history window
+const ALERT_HISTORY_DAYS = 30;
+
+// Prediction accuracy page (AquaScope_PredictionLogAPI)
+const PREDICTION_LOG_DAYS = 30;
+const ACCURACY_FEED_BUCKETS = [
+  { label: "0 - 1g", min: 0, max: 1 },
+  { label: "1 - 2g", min: 1, max: 2 },
+  { label: "2 - 3g", min: 2, max: 3 },
+  { label: "3 - 5g", min: 3, max: 5 },
+  { label: "5g+", min: 5, max: Infinity },
+];
+
+// History page (AquaScope_DailySummaryAPI)
+const DAILY_SUMMARY_DAYS = 90;
+const HEATMAP_WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Data export (monitoring and feeding pages) - reading columns come from getExportReadingColumns
+// keyLength: prefix of "YYYY-MM-DD HH:mm:ss" (Singapore time) shared by one bucket
+const EXPORT_RESAMPLE = {
+  raw: { label: "Raw" },
+  hour: { label: "Hourly", keyLength: 13, startSuffix: ":00:00" },
+  day: { label: "Daily", keyLength: 10, startSuffix: " 00:00:00" },
 };
+const EXPORT_FEEDING_DAYS = 30;
+const EXPORT_FEEDING_MAX_PAGES = 20; // Pages of FEEDING_EVENTS_MAX_LIMIT events; longer exports say they are partial
+
+// Feeding history (feeding page) - AquaScope_FeedingEventsAPI pages with next_token
+const FEEDING_HISTORY_DAYS = 30;       // Default date filter
+const FEEDING_HISTORY_PAGE_SIZE = 20;  // Rows per "Load More"
+const FEEDING_EVENTS_MAX_LIMIT = 1000; // AquaScope_FeedingEventsAPI MAX_LIMIT
+const FEEDING_TOTALS_MAX_PAGES = 10;   // Requests per totals load; totals left short say they are partial
+const PENDING_FEEDINGS_MAX_PAGES = 5;
+const TODAY_FEEDINGS_MAX_PAGES = 5;    // One Singapore day of feedings (prediction feed input)
 
 // Ammonia prediction API endpoint
 const AMMONIA_PREDICTION_API = "https://lhzz7dph64.execute-api.ap-southeast-2.amazonaws.com/predict";
@@ -52,31 +435,162 @@ const AMMONIA_STATUS_THRESHOLDS = {
   warning: 0.5,
 };
 
+// Corrections applied to the raw model output (see predictAmmonia). Parameters of the "fitted"
+// strategies come from AquaScope_PredictionCalibration - its STRATEGIES must match these.
+const PREDICTION_CORRECTIONS = {
+  none: { label: "None (raw model)", apply: (raw) => raw },
+  legacy: { label: "Hand-tuned offset", apply: (raw, params, feedQty) => raw - getLegacyCorrection(feedQty) },
+  bias: { label: "Calibrated offset", fitted: true, apply: (raw, params) => raw - params.bias },
+  linear: { label: "Calibrated linear", fitted: true, apply: (raw, params) => params.intercept + params.slope * raw },
+};
+const PREDICTION_CORRECTION_AUTO = "auto"; // Best calibrated strategy (legacy until the first calibration)
+
+// Recommend Amount: quantities tried (same range and step as the feeder form)
+const RECOMMEND_MAX_QTY_G = 10;
+const RECOMMEND_QTY_STEP_G = 0.5;
+const RECOMMEND_CONCURRENCY = 3; // Prediction requests in flight at once
+
+// prediction_status of a feed scheduled while the prediction API was unavailable (fail-open)
+const PREDICTION_STATUS_UNCHECKED = "unchecked";
+
 /**
  * Detect current page based on loaded sections
  */
 function detectCurrentPage() {
-  if (document.getElementById("temperatureChart")) {
+  if (document.getElementById("metricCharts")) {
     currentPage = "monitoring";
   } else if (document.getElementById("feedingHistorySection")) {
     currentPage = "feeding";
+  } else if (document.getElementById("alertHistorySection")) {
+    currentPage = "alerts";
+  } else if (document.getElementById("predictionAccuracySection")) {
+    currentPage = "accuracy";
+  } else if (document.getElementById("dailySummarySection")) {
+    currentPage = "history";
   } else {
     currentPage = "overview";
   }
   console.log(`📄 Detected page: ${currentPage}`);
 }
 
+/**
+ * Tank registry helpers
+ */
+function findTank(tankId) {
+  return TANK_REGISTRY.find((tank) => tank.tankId === tankId) || null;
+}
+
+function getCurrentTank() {
+  return findTank(currentTankId) || TANK_REGISTRY[0];
+}
+
+/**
+ * Resolve selected tank: URL parameter first, then localStorage, then first registry entry
+ */
+function resolveSelectedTank() {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = params.get(TANK_QUERY_PARAM);
+  const fromStorage = localStorage.getItem(TANK_STORAGE_KEY);
+
+  if (findTank(fromUrl)) {
+    currentTankId = fromUrl;
+  } else if (findTank(fromStorage)) {
+    currentTankId = fromStorage;
+  } else {
+    currentTankId = TANK_REGISTRY[0].tankId;
+  }
+
+  persistSelectedTank();
+  console.log(`🐟 Selected tank: ${currentTankId} (device ${getCurrentTank().deviceId})`);
+}
+
+/**
+ * Keep URL, localStorage and nav links in sync with the selected tank
+ */
+function persistSelectedTank() {
+  localStorage.setItem(TANK_STORAGE_KEY, currentTankId);
+
+  const url = new URL(window.location.href);
+  url.searchParams.set(TANK_QUERY_PARAM, currentTankId);
+  window.history.replaceState(null, "", url);
+
+  // Carry the selection across pages
+  document.querySelectorAll(".nav-link").forEach((link) => {
+    const page = link.getAttribute("href").split("?")[0];
+    link.setAttribute("href", `${page}?${TANK_QUERY_PARAM}=${encodeURIComponent(currentTankId)}`);
+  });
+}
+
+/**
+ * Populate the nav tank switcher from the registry
+ */
+function setupTankSwitcher() {
+  const select = document.getElementById("tankSelect");
+  if (!select) return;
+
+  select.innerHTML = TANK_REGISTRY
+    .map((tank) => `<option value="${tank.tankId}">${tank.name} (${tank.tankId})</option>`)
+    .join("");
+  select.value = currentTankId;
+
+  select.addEventListener("change", function () {
+    selectTank(this.value);
+  });
+}
+
+/**
+ * Tank switcher event handler - rescopes every API call to the chosen tank
+ */
+function selectTank(tankId) {
+  if (!findTank(tankId) || tankId === currentTankId) return;
+
+  currentTankId = tankId;
+  persistSelectedTank();
+
+  const select = document.getElementById("tankSelect");
+  if (select && select.value !== tankId) {
+    select.value = tankId;
+  }
+
+  // Drop retries and profile that belong to the previous tank
+  Object.values(retryTimeouts).forEach((t) => clearTimeout(t));
+  retryTimeouts = {};
+  window.currentProfile = null;
+  predictionCalibration = null;
+  alertThresholds = null;
+  resetChartZoom();
+
+  initializeApplication();
+
+  console.log(`🐟 Tank changed to: ${tankId}`);
+}
+
 /**
  * Application initialization
  */
 document.addEventListener("DOMContentLoaded", function () {
   console.log("🌊 AquaScope Dashboard initializing...");
+  renderMetricCards();
+  renderWaterTestInputs();
   detectCurrentPage();
+  resolveSelectedTank();
+  setupTankSwitcher();
   
+  // Alarm button label; browsers only allow audio after a click, so unlock on the first one
+  updateAlarmButton();
+  document.addEventListener("click", () => {
+    if (getAlarmSettings().sound) unlockAlarmAudio();
+  }, { once: true });
+
+  // Keep "last seen" current between data loads
+  if (document.getElementById("deviceHealth")) {
+    deviceHealthInterval = setInterval(refreshDeviceHealth, 30000);
+  }
+
   // Set active nav link
   const currentFile = window.location.pathname.split('/').pop() || 'index.html';
   document.querySelectorAll('.nav-link').forEach(link => {
-    const href = link.getAttribute('href');
+    const href = link.getAttribute('href').split('?')[0];
     if (href === currentFile || (currentFile === '' && href === 'index.html')) {
       link.classList.add('active');
     } else {
@@ -84,6 +598,8 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   });
   
+  pruneReadingCache();
+  setupOfflineMode();
   initializeApplication();
   setupFeederForm();
   
@@ -102,6 +618,18 @@ document.addEventListener("DOMContentLoaded", function () {
   const editPendingForm = document.getElementById("editPendingForm");
   if (editPendingForm) {
     editPendingForm.addEventListener("submit", handleEditPendingSubmit);
+    document.getElementById("editFeedingQty").addEventListener("change", function () {
+      const qty = parseFloat(this.value);
+      if (!isNaN(qty) && qty >= 0 && qty <= 10) checkFeederPrediction(qty, "editFeeding");
+    });
+  }
+
+  const planQtyInput = document.getElementById("planQtyInput");
+  if (planQtyInput) {
+    planQtyInput.addEventListener("change", function () {
+      const qty = parseFloat(this.value);
+      if (!isNaN(qty) && qty >= 0 && qty <= 10) checkFeederPrediction(qty, "plan");
+    });
   }
   
   // Close modals on escape key
@@ -109,6 +637,8 @@ document.addEventListener("DOMContentLoaded", function () {
     if (event.key === "Escape") {
       closeEditPendingModal();
       closeDeletePendingModal();
+      closeAlertActionModal();
+      closeFeedingPlanModal();
     }
   });
   
@@ -126,6 +656,34 @@ document.addEventListener("DOMContentLoaded", function () {
       if (event.target === this) closeDeletePendingModal();
     });
   }
+
+  const feedingPlanModal = document.getElementById("feedingPlanModal");
+  if (feedingPlanModal) {
+    feedingPlanModal.addEventListener("click", function(event) {
+      if (event.target === this) closeFeedingPlanModal();
+    });
+  }
+
+  const waterTestModal = document.getElementById("waterTestModal");
+  if (waterTestModal) {
+    waterTestModal.addEventListener("click", function(event) {
+      if (event.target === this) closeWaterTestModal();
+    });
+  }
+
+  const exportModal = document.getElementById("exportModal");
+  if (exportModal) {
+    exportModal.addEventListener("click", function(event) {
+      if (event.target === this) closeExportModal();
+    });
+  }
+
+  const alertActionModal = document.getElementById("alertActionModal");
+  if (alertActionModal) {
+    alertActionModal.addEventListener("click", function(event) {
+      if (event.target === this) closeAlertActionModal();
+    });
+  }
   
 });
 
@@ -135,10 +693,16 @@ document.addEventListener("DOMContentLoaded", function () {
 async function initializeApplication() {
   try {
     // Load tank profile on overview, monitoring, and feeding pages (needed for ammonia prediction)
-    if (currentPage === "overview" || currentPage === "monitoring" || currentPage === "feeding") {
+    // and on history (ammonia threshold of the heatmap)
+    if (currentPage === "overview" || currentPage === "monitoring" || currentPage === "feeding" || currentPage === "history") {
       await loadTankProfile();
     }
 
+    // Correction for the ammonia model (prediction panel, feeder checks)
+    if (currentPage === "overview" || currentPage === "feeding") {
+      await loadPredictionCalibration();
+    }
+
     // Load sensor data on both overview (for alerts) and monitoring (for charts) pages
     if (currentPage === "overview" || currentPage === "monitoring") {
       await loadSensorData();
@@ -146,19 +710,37 @@ async function initializeApplication() {
 
     // Load feeding events on feeding page
     if (currentPage === "feeding") {
+      setupFeedingHistoryFilters();
       await loadPendingFeedings();
       await loadFeedingEvents();
     }
 
+    // Load alert log on alerts page
+    if (currentPage === "alerts") {
+      setupAlertHistoryFilters();
+      await loadAlertHistory();
+    }
+
+    // Load recorded predictions on accuracy page
+    if (currentPage === "accuracy") {
+      setupPredictionAccuracyFilters();
+      await loadPredictionLog();
+    }
+
+    // Load daily summaries on history page
+    if (currentPage === "history") {
+      setupDailySummaryFilters();
+      await loadDailySummaries();
+    }
+
     // Update prediction panel on feeding and overview pages
     if (currentPage === "feeding" || currentPage === "overview") {
       updatePredictionPanel();
     }
 
-    // Only start auto-refresh on monitoring page
-    if (currentPage === "monitoring") {
-      startAutoRefresh();
-    }
+    // Push updates on every page (falls back to incremental polling)
+    startLiveUpdates();
+    startProfileRefresh();
 
     console.log("✅ AquaScope Dashboard initialized successfully");
   } catch (error) {
@@ -170,15 +752,19 @@ async function initializeApplication() {
 
 /**
  * Load tank profile information from API
+ * @param {Object} [options]
+ * @param {boolean} [options.periodic] - Timer refresh (startProfileRefresh): on failure the last
+ *   good profile stays in place and the next tick is the retry
  */
-async function loadTankProfile() {
+async function loadTankProfile({ periodic = false } = {}) {
   try {
-    const response = await fetch(`${API_BASE}/tank-profile?tank_id=tank_001`);
+    const response = await fetch(`${API_BASE}/tank-profile?tank_id=${encodeURIComponent(currentTankId)}`);
 
     if (!response.ok) {
       throw new Error(`Tank profile API error: ${response.status}`);
     }
 
+    noteApiResponse(response);
     const profile = await response.json();
     updateTankDisplay(profile);
 
@@ -186,6 +772,9 @@ async function loadTankProfile() {
   } catch (error) {
     console.error("❌ Failed to load tank profile:", error);
 
+    // Keep the thresholds, calibration etc. of the profile already shown
+    if (periodic && window.currentProfile) return;
+
     // Show placeholder data
     updateTankDisplay({
       volume: "N/A",
@@ -198,8 +787,9 @@ async function loadTankProfile() {
       },
     });
 
-    // Retry after 60 seconds
-    retryTimeouts.tankProfile = setTimeout(loadTankProfile, 60000);
+    // Retry after 60 seconds, one pending retry at a time (periodic refreshes retry on their next tick)
+    clearTimeout(retryTimeouts.tankProfile);
+    if (!periodic) retryTimeouts.tankProfile = setTimeout(loadTankProfile, 60000);
   }
 }
 
@@ -232,6 +822,135 @@ function updateTankDisplay(profile) {
   if (xlargeEl) xlargeEl.textContent = fishXLarge;
 
   window.currentProfile = profile;
+  alertThresholds = resolveAlertThresholds(profile);
+}
+
+/**
+ * Merge the tank profile's alert_thresholds over the ALERT_THRESHOLDS defaults
+ */
+function resolveAlertThresholds(profile) {
+  const overrides = (profile && profile.alert_thresholds) || {};
+  const resolved = {};
+
+  Object.keys(ALERT_THRESHOLDS).forEach((key) => {
+    resolved[key] = { ...ALERT_THRESHOLDS[key] };
+    ["min", "max"].forEach((bound) => {
+      const value = parseFloat(overrides[key]?.[bound]);
+      if (!Number.isNaN(value)) resolved[key][bound] = value;
+    });
+  });
+
+  // Water level chart band: the low limit in the chart's unit
+  const calibration = getWaterLevelCalibration(profile || {});
+  const minimum = getWaterLevelMinimum(calibration, profile || {});
+  if (minimum && calibration.chartUnit && minimum[calibration.chartUnit.key] !== null) {
+    resolved.waterLevel.min = minimum[calibration.chartUnit.key];
+  }
+
+  return resolved;
+}
+
+/**
+ * Active thresholds for the selected tank
+ */
+function getAlertThresholds() {
+  if (!alertThresholds) alertThresholds = resolveAlertThresholds(window.currentProfile);
+  return alertThresholds;
+}
+
+/**
+ * Water level calibration from the tank profile:
+ *   water_level_sensor: { type, empty_distance_cm, full_distance_cm }  (distances: ultrasonic only)
+ *   tank_dimensions_cm: { length, width, height }  (height = water depth of a full tank)
+ * @returns {Object} { type, emptyDistanceCm, lengthCm, widthCm, fullDepthCm, units, chartUnit }
+ *   units: WATER_LEVEL_UNITS this calibration can convert to; chartUnit: the last of them, or null
+ */
+function getWaterLevelCalibration(profile = window.currentProfile || {}) {
+  const sensor = profile.water_level_sensor || {};
+  const dimensions = profile.tank_dimensions_cm || {};
+  const positive = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+  };
+
+  const type = WATER_LEVEL_SENSOR_TYPES.includes(sensor.type) ? sensor.type : DEFAULT_WATER_LEVEL_SENSOR;
+  const emptyDistanceCm = positive(sensor.empty_distance_cm);
+  const fullDistanceCm = positive(sensor.full_distance_cm);
+  const lengthCm = positive(dimensions.length);
+  const widthCm = positive(dimensions.width);
+
+  // Water depth of a full tank: the distance the surface travels for an ultrasonic sensor
+  let fullDepthCm = positive(dimensions.height);
+  if (type === "ultrasonic") {
+    fullDepthCm = emptyDistanceCm && fullDistanceCm && emptyDistanceCm > fullDistanceCm ? emptyDistanceCm - fullDistanceCm : null;
+  }
+
+  const hasCm = type === "depth" || (type === "ultrasonic" ? emptyDistanceCm !== null : fullDepthCm !== null);
+  const available = {
+    cm: hasCm,
+    percent: type === "percent" || (hasCm && fullDepthCm !== null),
+    liters: hasCm && lengthCm !== null && widthCm !== null,
+  };
+  const units = WATER_LEVEL_UNITS.filter((unit) => available[unit.key]);
+
+  return { type, emptyDistanceCm, lengthCm, widthCm, fullDepthCm, units, chartUnit: units[units.length - 1] || null };
+}
+
+/**
+ * Raw water_level reading -> { cm, percent, liters } (null where the calibration cannot tell)
+ */
+function convertWaterLevel(raw, calibration = getWaterLevelCalibration()) {
+  if (calibration.type === "percent") return completeWaterLevel({ percent: raw }, calibration);
+  if (calibration.type === "ultrasonic") {
+    return completeWaterLevel({ cm: calibration.emptyDistanceCm !== null ? calibration.emptyDistanceCm - raw : null }, calibration);
+  }
+  return completeWaterLevel({ cm: raw }, calibration);
+}
+
+/**
+ * Fill in the other units from a depth (cm) or a percentage of a full tank
+ */
+function completeWaterLevel({ cm = null, percent = null }, calibration) {
+  const fullDepth = calibration.fullDepthCm;
+  if (cm === null && percent !== null && fullDepth !== null) cm = (percent / 100) * fullDepth;
+  if (percent === null && cm !== null && fullDepth !== null) percent = (cm / fullDepth) * 100;
+
+  const liters =
+    cm !== null && calibration.lengthCm !== null && calibration.widthCm !== null
+      ? (calibration.lengthCm * calibration.widthCm * cm) / 1000
+      : null;
+
+  return { cm, percent, liters };
+}
+
+/**
+ * Low water level limit: percentageOfTarget of the tank's target level (cm), or of a full
+ * tank when the target cannot be converted. null when the sensor is not calibrated enough.
+ */
+function getWaterLevelMinimum(calibration = getWaterLevelCalibration(), profile = window.currentProfile || {}) {
+  const share = ALERT_THRESHOLDS.waterLevel.percentageOfTarget;
+  const target = parseFloat(profile.appropriate_water_level ?? profile.target_water_level);
+  const unitKeys = calibration.units.map((unit) => unit.key);
+
+  if (Number.isFinite(target) && target > 0 && unitKeys.includes("cm")) {
+    return completeWaterLevel({ cm: target * share }, calibration);
+  }
+  if (unitKeys.includes("percent")) {
+    return completeWaterLevel({ percent: share * 100 }, calibration);
+  }
+  return null;
+}
+
+/**
+ * "32.0 cm · 80% · 57.6 L" - every unit known for the level
+ */
+function formatWaterLevel(level) {
+  return WATER_LEVEL_UNITS.filter((unit) => level[unit.key] !== null)
+    .map((unit) => {
+      const value = level[unit.key].toFixed(unit.precision);
+      return unit.symbol === "%" ? `${value}%` : `${value} ${unit.symbol}`;
+    })
+    .join(" · ");
 }
 
 /**
@@ -242,41 +961,47 @@ async function loadSensorData() {
   isLoadingSensorData = true;
 
   const config = TIMELINE_CONFIG[currentTimeline];
+  const tank = getCurrentTank();
 
   try {
     showLoading(true);
 
-    const url = `${API_BASE}/readings?device_id=aquasense_01&period=${config.period}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Sensor data API error: ${response.status}`);
-    }
-
-    const responseData = await response.json();
-
-    // Expected shape: { items: [...], start: "...", end: "...", count: N }
-    if (responseData && Array.isArray(responseData.items)) {
-      const readings = responseData.items;
-
-      if (readings.length > 0) {
-        updateCharts(readings);
-        hideChartPlaceholders();
-        updateAlerts(readings);
-        console.log(
-          `📈 Loaded ${readings.length} sensor readings for ${config.label} (${responseData.start ?? "?"} to ${responseData.end ?? "?"})`
-        );
-      } else {
-        // ✅ Don't throw a hard error (keeps app stable)
-        showChartPlaceholders();
-        updateAlerts([]);
-        console.warn(`⚠️ No sensor data for ${config.label}.`);
-      }
+    const range = getActiveRange();
+
+    // Feeding markers are only drawn on the monitoring charts
+    const [readings, markers, tests] = await Promise.all([
+      loadReadings(tank.deviceId, range),
+      currentPage === "monitoring" ? loadFeedingMarkers(tank.tankId, range) : [],
+      loadWaterTests(tank.tankId, range),
+    ]);
+
+    // Tank was switched while this request was in flight - discard
+    if (tank.tankId !== currentTankId) return;
+
+    feedingMarkers = markers;
+    waterTests = tests;
+    deviceHealth = assessDeviceHealth(readings);
+    renderDeviceHealth();
+
+    if (readings.length > 0) {
+      currentReadings = readings;
+      updateCharts(readings);
+      hideChartPlaceholders();
+      updateAlerts(readings);
+      console.log(`📈 Loaded ${readings.length} sensor readings for ${config.label}`);
     } else {
-      throw new Error("Invalid API response format");
+      // ✅ Don't throw a hard error (keeps app stable)
+      currentReadings = [];
+      showChartPlaceholders();
+      updateWaterTestCharts();
+      updateAlerts([]);
+      console.warn(`⚠️ No sensor data for ${config.label}.`);
     }
   } catch (error) {
     console.error("❌ Failed to load sensor data:", error);
+    // Unknown, not offline - the API (not necessarily the device) failed
+    deviceHealth = null;
+    renderDeviceHealth();
     showChartPlaceholders();
     updateAlerts([]);
 
@@ -287,1295 +1012,6016 @@ async function loadSensorData() {
   } finally {
     showLoading(false);
     isLoadingSensorData = false;
+
+    // Reload for the newly selected tank if it changed mid-request
+    if (tank.tankId !== currentTankId) loadSensorData();
   }
 }
 
 /**
- * Update all charts with new sensor data
+ * Metric registry helpers (see METRICS)
  */
-function updateCharts(readings) {
-  const chartData = processChartData(readings);
+function getMetricChartId(metric) {
+  return `${metric.key}Chart`;
+}
 
-  updateChart("temperatureChart", "Temperature (°C)", chartData.temperature, CHART_COLORS.temperature);
-  updateChart("phChart", "pH Level", chartData.ph, CHART_COLORS.ph);
-  updateChart("ammoniaChart", "Ammonia (ppm)", chartData.ammonia, CHART_COLORS.ammonia);
-  updateChart("waterLevelChart", "Water Level (%)", chartData.waterLevel, CHART_COLORS.waterLevel);
+function getMetricTitle(metric) {
+  if (metric.calibrated) {
+    const { chartUnit } = getWaterLevelCalibration();
+    return chartUnit ? chartUnit.title : `${metric.label} (uncalibrated)`;
+  }
+  return metric.unit ? `${metric.label} (${metric.unit})` : metric.label;
 }
 
 /**
- * Get time axis configuration based on current timeline
+ * Value or limit with its unit: "26.1°C", "0.300 ppm", "7.20"
  */
-function getTimeAxisOptions() {
-  const baseConfig = {
-    type: "time",
-    bounds: "data",
-    ticks: {
-      autoSkip: true,
-      autoSkipPadding: 40,
-      maxTicksLimit: 5,
-      maxRotation: 0,
-      minRotation: 0,
-    },
-    grid: { color: "#e9ecef" },
-  };
+function formatMetricValue(metric, value, precision = metric.precision) {
+  const text = typeof value === "number" && precision !== null ? value.toFixed(precision) : String(value);
+  if (!metric.unit) return text;
+  return /^[°%]/.test(metric.unit) ? `${text}${metric.unit}` : `${text} ${metric.unit}`;
+}
 
-  // Configure display format and unit based on timeline
-  switch (currentTimeline) {
-    case "day":
-      baseConfig.time = {
-        unit: "hour",
-        tooltipFormat: "MMM dd, yyyy HH:mm",
-        displayFormats: {
-          hour: "HH:mm",
-        },
-      };
-      break;
-    case "week":
-      baseConfig.time = {
-        unit: "day",
-        tooltipFormat: "MMM dd, yyyy HH:mm",
-        displayFormats: {
-          day: "MMM dd",
-        },
-      };
-      break;
-    case "month":
-      baseConfig.time = {
-        unit: "week",
-        tooltipFormat: "MMM dd, yyyy",
-        displayFormats: {
-          week: "MMM dd",
-        },
-      };
-      break;
-    default:
-      baseConfig.time = {
-        tooltipFormat: "MMM dd, yyyy HH:mm",
-        displayFormats: {
-          hour: "HH:mm",
-          day: "MMM dd",
-        },
-      };
+/**
+ * Threshold alert (registry copy) for a value outside the tank's range, or null
+ * @param {string} [context] - appended to the value, e.g. when a manual test was taken
+ */
+function checkMetricThresholds(metric, value, context) {
+  const threshold = getAlertThresholds()[metric.key] || {};
+  const copy = metric.alerts || {};
+  const suffix = context ? `, ${context}` : "";
+
+  if (copy.low && threshold.min !== undefined && value < threshold.min) {
+    return {
+      ...copy.low,
+      value: `${formatMetricValue(metric, value)} (min: ${formatMetricValue(metric, threshold.min, null)}${suffix})`,
+    };
+  }
+  if (copy.high && threshold.max !== undefined && value > threshold.max) {
+    return {
+      ...copy.high,
+      value: `${formatMetricValue(metric, value)} (max: ${formatMetricValue(metric, threshold.max, null)}${suffix})`,
+    };
   }
+  return null;
+}
 
-  return baseConfig;
+/**
+ * Chart card per metric (monitoring page): sensors first, then manual tests
+ */
+function renderMetricCards() {
+  const grid = document.getElementById("metricCharts");
+  if (!grid) return;
+
+  grid.innerHTML = METRICS.map((metric) => {
+    const placeholder =
+      metric.source === "test"
+        ? '<i class="fas fa-vial"></i><p>No tests logged in this period</p>'
+        : '<i class="fas fa-exclamation-triangle"></i><p>Data unavailable – check connection</p>';
+    const sourceTag = metric.source === "test" ? ' <span class="chart-source">test kit</span>' : "";
+
+    return `
+      <div class="chart-container">
+        <h3 id="${metric.key}ChartTitle">${getMetricTitle(metric)}${sourceTag}</h3>
+        <div class="chart-wrapper">
+          <canvas id="${getMetricChartId(metric)}"></canvas>
+          <div class="chart-placeholder" id="${metric.key}Placeholder">${placeholder}</div>
+        </div>
+      </div>
+    `;
+  }).join("");
 }
 
 /**
- * Process raw sensor readings into chart-ready format
+ * Result inputs of the water test modal and the CSV column hint
  */
-function processChartData(readings) {
-  readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+function renderWaterTestInputs() {
+  const container = document.getElementById("waterTestResults");
+  if (!container) return;
+
+  container.innerHTML = WATER_TEST_METRICS.map(
+    (metric) => `
+      <div class="date-range-field">
+        <label for="${metric.key}TestInput">${getMetricTitle(metric)}</label>
+        <input type="number" id="${metric.key}TestInput" min="${metric.plausible.min}" max="${metric.plausible.max}" step="${1 / 10 ** metric.precision}">
+      </div>
+    `
+  ).join("");
 
-  return {
-    temperature: readings.map((r) => ({ x: new Date(r.timestamp), y: parseFloat(r.temperature) || 0 })),
-    ph: readings.map((r) => ({ x: new Date(r.timestamp), y: parseFloat(r.ph) || 0 })),
-    ammonia: readings.map((r) => ({ x: new Date(r.timestamp), y: parseFloat(r.ammonia) || 0 })),
-    waterLevel: readings.map((r) => ({ x: new Date(r.timestamp), y: parseFloat(r.water_level) || 0 })),
-  };
+  const columns = document.getElementById("waterTestCsvColumns");
+  if (columns) {
+    columns.innerHTML = WATER_TEST_METRICS.map((metric) => `<code>${metric.field}</code>`).join(", ");
+  }
 }
 
 /**
- * Update or create a Chart.js chart
- * Fixes "Canvas is already in use" by destroying any existing chart tied to that canvas.
- *
- * NOTE: Requires a date adapter for time scale (you already added date-fns adapter in index.html).
+ * Update all charts with new sensor data
  */
-function updateChart(canvasId, label, data, color) {
-  const canvas = document.getElementById(canvasId);
-  if (!canvas) return;
+function updateCharts(readings) {
+  const chartData = processChartData(readings);
 
-  const ctx = canvas.getContext("2d");
+  SENSOR_METRICS.forEach((metric) => {
+    const options = {};
+    if (metric.calibrated) {
+      // Unit follows the tank's calibration; the tooltip lists every converted unit
+      const title = document.getElementById(`${metric.key}ChartTitle`);
+      if (title) title.textContent = getMetricTitle(metric);
+      options.tooltipLabel = (point) => formatWaterLevel(convertWaterLevel(point.reading)) || String(point.reading);
+    }
+    updateChart(getMetricChartId(metric), getMetricTitle(metric), chartData[metric.key], metric.color, metric.key, options);
+  });
+  updateWaterTestCharts();
+}
 
-  // ✅ Destroy chart we track (if any)
-  if (charts[canvasId]) {
-    charts[canvasId].destroy();
-    delete charts[canvasId];
-  }
+/**
+ * Build the /readings query string for the current timeline
+ * Presets use the period shortcut; a custom range sends explicit start/end (UTC, no offset)
+ */
+function buildReadingsRangeQuery(deviceId) {
+  const params = new URLSearchParams({ device_id: deviceId });
 
-  // ✅ Extra safety: destroy chart Chart.js is tracking for this canvas
-  // (prevents desync issues after exceptions)
-  const existing = Chart.getChart(canvas);
-  if (existing) {
-    existing.destroy();
+  if (currentTimeline === "custom" && customRange) {
+    params.set("start", toApiIso(customRange.start));
+    params.set("end", toApiIso(customRange.end));
+  } else {
+    params.set("period", TIMELINE_CONFIG[currentTimeline].period);
   }
 
-  charts[canvasId] = new Chart(ctx, {
-    type: "line",
-    data: {
-      datasets: [
-        {
-          label,
-          data,
-          borderColor: color,
-          backgroundColor: color + "20",
-          borderWidth: 2,
-          fill: true,
-          tension: 0.1,
-          pointRadius: 1,
-          pointHoverRadius: 4,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: { display: false },
-      },
-      scales: {
-        x: getTimeAxisOptions(),
-        y: {
-          beginAtZero: false,
-          grid: { color: "#e9ecef" },
-        },
-      },
-      interaction: { intersect: false, mode: "index" },
-      animation: { duration: 500 },
-    },
-  });
+  return params.toString();
 }
 
 /**
- * Show/hide chart placeholders
+ * Format a Date as 'YYYY-MM-DDTHH:MM:SS' in UTC (the format AquaSence_ReadAPI compares against)
  */
-function showChartPlaceholders() {
-  const placeholders = ["temperaturePlaceholder", "phPlaceholder", "ammoniaPlaceholder", "waterLevelPlaceholder"];
-  placeholders.forEach((id) => {
-    const el = document.getElementById(id);
-    if (el) el.classList.add("show");
+function toApiIso(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+/**
+ * Reading cache (IndexedDB)
+ *
+ * Readings are cached per device, keyed [device_id, t] (t = epoch millis). A separate
+ * "coverage" record per device lists the time ranges fully fetched from /readings, so a
+ * load only requests the parts of the range that are not covered yet (usually just the
+ * minutes since the last load) and timeline switches within cached data need no request.
+ */
+
+/**
+ * Open (once) the cache database; resolves null when IndexedDB is unavailable
+ */
+function openReadingCache() {
+  if (readingCachePromise) return readingCachePromise;
+
+  readingCachePromise = new Promise((resolve) => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+
+    const request = window.indexedDB.open(READING_CACHE_DB, READING_CACHE_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const readingsStore = db.createObjectStore("readings", { keyPath: ["device_id", "t"] });
+      readingsStore.createIndex("t", "t");
+      db.createObjectStore("coverage", { keyPath: "device_id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("⚠️ Reading cache unavailable, fetching without it:", request.error);
+      resolve(null);
+    };
+    // Another tab holds an older version open - work uncached rather than wait
+    request.onblocked = () => resolve(null);
   });
+
+  return readingCachePromise;
 }
 
-function hideChartPlaceholders() {
-  const placeholders = ["temperaturePlaceholder", "phPlaceholder", "ammoniaPlaceholder", "waterLevelPlaceholder"];
-  placeholders.forEach((id) => {
-    const el = document.getElementById(id);
-    if (el) el.classList.remove("show");
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
 }
 
 /**
- * Timeline selector event handler
+ * Readings for the range: cached where covered, fetched (and cached) where not
+ * @returns {Promise<Array>} readings, oldest first
  */
-function selectTimeline(period) {
-  currentTimeline = period;
+async function loadReadings(deviceId, range) {
+  const db = await openReadingCache();
 
-  const dropdown = document.getElementById("timelineSelect");
-  if (dropdown && dropdown.value !== period) {
-    dropdown.value = period;
+  if (!db) {
+    const params = new URLSearchParams(buildReadingsRangeQuery(deviceId));
+    return (await fetchReadingsRange(params)).items;
   }
 
-  // Reload sensor data for new timeline
-  loadSensorData();
+  const covered = await getReadingCoverage(db, deviceId);
+  const missing = subtractIntervals({ start: range.start.getTime(), end: range.end.getTime() }, covered);
 
-  console.log(`📅 Timeline changed to: ${TIMELINE_CONFIG[period].label}`);
+  for (const gap of missing) {
+    const fetchedAt = Date.now();
+    const params = new URLSearchParams({
+      device_id: deviceId,
+      start: toApiIso(new Date(gap.start)),
+      end: toApiIso(new Date(gap.end)),
+    });
+
+    let items, truncated;
+    try {
+      ({ items, truncated } = await fetchReadingsRange(params));
+    } catch (error) {
+      // Network down (fetch rejects with TypeError): show the last known readings instead
+      if (!(error instanceof TypeError)) throw error;
+      console.warn("📴 Offline - showing cached readings");
+      servingCachedData = true;
+      updateOfflineBanner();
+      break;
+    }
+    await putCachedReadings(db, deviceId, items);
+
+    // API end is whole seconds, and the last couple of minutes may still be arriving
+    let coveredEnd = Math.min(Math.floor(gap.end / 1000) * 1000, fetchedAt - READING_CACHE_SETTLE_MS);
+    if (truncated) {
+      // Cut off at the page cap: the rest of the gap stays uncovered and is fetched next load
+      coveredEnd = Math.min(coveredEnd, new Date(items[items.length - 1].timestamp).getTime());
+      console.warn(`⚠️ Readings for ${deviceId} cut off after ${READING_FETCH_MAX_PAGES} pages`);
+    }
+    if (coveredEnd > gap.start) {
+      await addReadingCoverage(db, deviceId, { start: gap.start, end: coveredEnd });
+    }
+  }
+
+  if (missing.length > 0) {
+    console.log(`💾 Fetched ${missing.length} uncached range(s) for ${deviceId}`);
+  }
+
+  return getCachedReadings(db, deviceId, range);
 }
 
 /**
- * Settings modal functions
+ * Fetch /readings for the given query, following has_more pages (cut off at the page cap)
+ * @returns {Promise<Object>} { items, truncated } - truncated when the cap left pages unread
  */
-function openSettingsModal() {
-  const profile = window.currentProfile || {};
+async function fetchReadingsRange(params) {
+  const items = [];
+  let truncated = false;
 
-  const volume = profile.tank_volume_liters ?? profile.volume ?? "";
-  const appropriateLevel = profile.appropriate_water_level ?? profile.target_water_level ?? "";
-  const fishSmall = profile.fish_small ?? profile.fish_count?.small ?? 0;
-  const fishMedium = profile.fish_medium ?? profile.fish_count?.medium ?? 0;
-  const fishLarge = profile.fish_large ?? profile.fish_count?.large ?? 0;
-  const fishXLarge = profile.fish_xlarge ?? profile.fish_count?.extra_large ?? 0;
+  for (let page = 0; page < READING_FETCH_MAX_PAGES; page++) {
+    const response = await fetch(`${API_BASE}/readings?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`Sensor data API error: ${response.status}`);
+    }
 
-  const volumeInput = document.getElementById("volumeInput");
-  const levelInput = document.getElementById("targetLevelInput");
-  const fishSmallInput = document.getElementById("fishSmallInput");
-  const fishMediumInput = document.getElementById("fishMediumInput");
-  const fishLargeInput = document.getElementById("fishLargeInput");
-  const fishExtraLargeInput = document.getElementById("fishExtraLargeInput");
-  const message = document.getElementById("settingsMessage");
-  const modal = document.getElementById("settingsModal");
+    noteApiResponse(response);
 
-  if (!modal || !volumeInput || !levelInput) return;
+    // Expected shape: { items: [...], start: "...", end: "...", count: N, has_more }
+    const data = await response.json();
+    if (!data || !Array.isArray(data.items)) {
+      throw new Error("Invalid API response format");
+    }
 
-  volumeInput.value = volume;
-  levelInput.value = appropriateLevel;
-  if (fishSmallInput) fishSmallInput.value = fishSmall;
-  if (fishMediumInput) fishMediumInput.value = fishMedium;
-  if (fishLargeInput) fishLargeInput.value = fishLarge;
-  if (fishExtraLargeInput) fishExtraLargeInput.value = fishXLarge;
+    items.push(...data.items);
+    truncated = Boolean(data.has_more) && data.items.length > 0;
+    if (!truncated) break;
 
-  if (message) {
-    message.className = "message";
-    message.textContent = "";
+    // Continue from the last item (inclusive range - the duplicate is de-duplicated by key)
+    const last = data.items[data.items.length - 1];
+    params.delete("period");
+    params.set("start", toApiIso(new Date(last.timestamp)));
+    if (!params.has("end")) params.set("end", toApiIso(new Date()));
   }
 
-  modal.classList.add("show");
+  return { items, truncated };
 }
 
-function closeSettingsModal() {
-  const modal = document.getElementById("settingsModal");
-  if (modal) modal.classList.remove("show");
+async function getCachedReadings(db, deviceId, range) {
+  const tx = db.transaction("readings", "readonly");
+  const keyRange = IDBKeyRange.bound([deviceId, range.start.getTime()], [deviceId, range.end.getTime()]);
+  const records = await idbRequest(tx.objectStore("readings").getAll(keyRange));
+  return records.map((record) => record.reading);
 }
 
 /**
- * Update alerts based on latest readings
+ * Store readings (from range fetches, zoom detail or live updates); existing keys are overwritten
  */
-function updateAlerts(readings) {
-  const alertsList = document.getElementById("alertsList");
-  if (!alertsList) return;
+async function putCachedReadings(db, deviceId, readings) {
+  if (!db || readings.length === 0) return;
+
+  const tx = db.transaction("readings", "readwrite");
+  const store = tx.objectStore("readings");
+  readings.forEach((reading) => {
+    const t = new Date(reading.timestamp).getTime();
+    if (!Number.isNaN(t)) store.put({ device_id: deviceId, t, reading });
+  });
+  await idbTransactionDone(tx);
+}
 
-  const alerts = [];
-  const profile = window.currentProfile || {};
-  const appropriateLevel = profile.appropriate_water_level ?? profile.target_water_level;
+/**
+ * Best-effort cache write for readings that arrived outside loadReadings
+ */
+function cacheReadings(deviceId, readings) {
+  openReadingCache()
+    .then((db) => putCachedReadings(db, deviceId, readings))
+    .catch((error) => console.warn("⚠️ Failed to cache readings:", error));
+}
 
-  if (readings.length === 0) {
-    alertsList.innerHTML = `
-      <div class="alert alert-info">
-        <i class="fas fa-info-circle"></i>
-        <span>No data available to check alerts</span>
-      </div>
-    `;
-    return;
-  }
+async function getReadingCoverage(db, deviceId) {
+  const tx = db.transaction("coverage", "readonly");
+  const record = await idbRequest(tx.objectStore("coverage").get(deviceId));
+  return record ? record.ranges : [];
+}
 
-  // Get latest reading (sorted by timestamp)
-  const latest = readings.reduce((recent, current) => {
-    return new Date(current.timestamp) > new Date(recent.timestamp) ? current : recent;
+async function addReadingCoverage(db, deviceId, interval) {
+  const tx = db.transaction("coverage", "readwrite");
+  const store = tx.objectStore("coverage");
+  const record = await idbRequest(store.get(deviceId));
+  const ranges = mergeIntervals([...(record ? record.ranges : []), interval]);
+  store.put({ device_id: deviceId, ranges });
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Merge overlapping/touching { start, end } intervals
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach((interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
   });
 
-  const temp = parseFloat(latest.temperature);
-  const ph = parseFloat(latest.ph);
-  const ammonia = parseFloat(latest.ammonia);
-  const waterLevel = parseFloat(latest.water_level);
+  return merged;
+}
 
-  // Temperature check
-  if (!isNaN(temp)) {
-    if (temp < ALERT_THRESHOLDS.temperature.min) {
-      alerts.push({
-        level: "danger",
-        title: "Low Temperature",
-        value: `${temp.toFixed(1)}°C (min: ${ALERT_THRESHOLDS.temperature.min}°C)`,
-        suggestion: "Check thermal regulator and heating system",
-      });
-    } else if (temp > ALERT_THRESHOLDS.temperature.max) {
-      alerts.push({
-        level: "danger",
-        title: "High Temperature",
-        value: `${temp.toFixed(1)}°C (max: ${ALERT_THRESHOLDS.temperature.max}°C)`,
-        suggestion: "Check cooling system and water circulation",
-      });
-    }
-  }
+/**
+ * Parts of the range not inside any of the (merged) covered intervals
+ */
+function subtractIntervals(range, covered) {
+  const missing = [];
+  let cursor = range.start;
+
+  mergeIntervals(covered).forEach((interval) => {
+    if (interval.end <= cursor || interval.start >= range.end) return;
+    if (interval.start > cursor) missing.push({ start: cursor, end: interval.start });
+    cursor = Math.max(cursor, interval.end);
+  });
 
-  // pH check
-  if (!isNaN(ph)) {
-    if (ph < ALERT_THRESHOLDS.ph.min) {
-      alerts.push({
-        level: "caution",
-        title: "Low pH",
-        value: `${ph.toFixed(2)} (min: ${ALERT_THRESHOLDS.ph.min})`,
-        suggestion: "Perform water change and check water source",
-      });
-    } else if (ph > ALERT_THRESHOLDS.ph.max) {
-      alerts.push({
-        level: "caution",
-        title: "High pH",
-        value: `${ph.toFixed(2)} (max: ${ALERT_THRESHOLDS.ph.max})`,
-        suggestion: "Perform water change and review filtration",
-      });
-    }
-  }
+  if (cursor < range.end) missing.push({ start: cursor, end: range.end });
+  return missing;
+}
 
-  // Ammonia check
-  if (!isNaN(ammonia)) {
-    if (ammonia > ALERT_THRESHOLDS.ammonia.max) {
-      alerts.push({
-        level: "danger",
-        title: "High Ammonia Detected",
-        value: `${ammonia.toFixed(3)} ppm (max: ${ALERT_THRESHOLDS.ammonia.max} ppm)`,
-        suggestion: "Perform immediate water change and check biofilter",
-      });
-    }
-  }
+/**
+ * Drop cached readings (and coverage) older than READING_CACHE_MAX_AGE_MS
+ */
+async function pruneReadingCache() {
+  const db = await openReadingCache();
+  if (!db) return;
 
-  // Water level check (handle both % and cm)
-  if (!isNaN(waterLevel) && appropriateLevel) {
-    const appropriateLevelNum = parseFloat(appropriateLevel);
-    let isLow = false;
-    let displayValue = "";
+  const cutoff = Date.now() - READING_CACHE_MAX_AGE_MS;
 
-    // Assumption logic:
-    // - If waterLevel is <= 1.5 * appropriateLevel and appropriateLevel is large (e.g., 100),
-    //   assume waterLevel is in cm and compare against 80% of appropriate level.
-    // - Otherwise, if waterLevel is between 0–100, treat it as percent and compare against 80%.
-    if (appropriateLevelNum >= 50 && waterLevel <= appropriateLevelNum * 1.5) {
-      const minLevelCm = appropriateLevelNum * ALERT_THRESHOLDS.waterLevel.percentageOfTarget;
-      isLow = waterLevel < minLevelCm;
-      displayValue = `${waterLevel.toFixed(1)} cm (min: ${minLevelCm.toFixed(1)} cm)`;
-    } else if (waterLevel >= 0 && waterLevel <= 100) {
-      isLow = waterLevel < 80;
-      displayValue = `${waterLevel.toFixed(1)}% (min: 80%)`;
-    }
+  try {
+    const tx = db.transaction(["readings", "coverage"], "readwrite");
+    const readingsStore = tx.objectStore("readings");
+    const coverageStore = tx.objectStore("coverage");
+
+    readingsStore.index("t").openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
 
-    if (isLow) {
-      alerts.push({
-        level: "caution",
-        title: "Low Water Level",
-        value: displayValue || `${waterLevel.toFixed(1)} (minimum: 80% of target)`,
-        suggestion: "Top up water to appropriate level",
-      });
-    }
+    coverageStore.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const ranges = cursor.value.ranges
+        .filter((r) => r.end > cutoff)
+        .map((r) => ({ start: Math.max(r.start, cutoff), end: r.end }));
+      cursor.update({ ...cursor.value, ranges });
+      cursor.continue();
+    };
+
+    await idbTransactionDone(tx);
+  } catch (error) {
+    console.warn("⚠️ Failed to prune reading cache:", error);
   }
+}
 
-  // Render alerts or "all safe" message
-  if (alerts.length === 0) {
-    alertsList.innerHTML = `
-      <div class="alert alert-success">
-        <i class="fas fa-check-circle"></i>
-        <span>All parameters within safe ranges</span>
-      </div>
-    `;
-  } else {
-    alertsList.innerHTML = alerts
-      .map(
-        (alert) => `
-      <div class="alert alert-${alert.level}">
-        <div class="alert-header">
-          <i class="fas fa-${alert.level === "danger" ? "exclamation-circle" : "info-circle"}"></i>
-          <strong>${alert.title}</strong>
-        </div>
-        <div class="alert-content">
-          <p class="alert-value">${alert.value}</p>
-          <p class="alert-suggestion"><i class="fas fa-lightbulb"></i> ${alert.suggestion}</p>
-        </div>
-      </div>
-    `
-      )
-      .join("");
+/**
+ * Get the visible time range for the current timeline
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getActiveRange() {
+  if (currentTimeline === "custom" && customRange) {
+    return customRange;
   }
 
-  console.log(`🚨 Alerts updated: ${alerts.length} alert(s) detected`);
+  const config = TIMELINE_CONFIG[currentTimeline] || TIMELINE_CONFIG.day;
+  const end = new Date();
+  return { start: new Date(end.getTime() - config.spanMs), end };
 }
 
 /**
- * Auto Feeder functionality
+ * Get time axis configuration based on the visible time span (zoom window if zoomed)
  */
-async function createFeedingEvent(payload) {
-  try {
-    const response = await fetch(`${API_BASE}/feeding-events`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+function getTimeAxisOptions() {
+  const range = zoomWindow
+    ? { start: new Date(zoomWindow.min), end: new Date(zoomWindow.max) }
+    : getActiveRange();
+  const spanMs = range.end - range.start;
+  const axisUnit = TIME_AXIS_UNITS.find((entry) => spanMs <= entry.maxSpanMs);
 
-    if (!response.ok) {
-      // Try to read error message from response
-      let errorMessage = `HTTP ${response.status}`;
-      try {
-        const errorBody = await response.text();
-        if (errorBody) {
-          console.error("Backend error response:", errorBody);
-          errorMessage = errorBody;
-        }
-      } catch (e) {
-        // Unable to parse response body
-      }
-      throw new Error(errorMessage);
-    }
+  const baseConfig = {
+    type: "time",
+    bounds: "data",
+    ticks: {
+      autoSkip: true,
+      autoSkipPadding: 40,
+      maxTicksLimit: 5,
+      maxRotation: 0,
+      minRotation: 0,
+    },
+    grid: { color: "#e9ecef" },
+    time: {
+      unit: axisUnit.unit,
+      tooltipFormat: axisUnit.tooltipFormat,
+      displayFormats: {
+        [axisUnit.unit]: axisUnit.displayFormat,
+      },
+    },
+  };
 
-    const result = await response.json();
-    console.log("✅ Feeding event created successfully:", result);
-    return result;
-  } catch (error) {
-    console.error("❌ Failed to create feeding event:", error);
-    throw error;
+  // Pin a zoom window or custom range to its exact bounds so gaps at either end stay visible
+  if (zoomWindow || currentTimeline === "custom") {
+    baseConfig.min = range.start.getTime();
+    baseConfig.max = range.end.getTime();
   }
+
+  return baseConfig;
 }
 
 /**
- * Auto Feeder functionality
+ * Process raw sensor readings into chart-ready format
  */
-function setupFeederForm() {
-  const form = document.getElementById("feederForm");
-  if (!form) return;
-
-  // Load saved values from localStorage
-  const savedTime = localStorage.getItem("feederTime");
-  const savedQty = localStorage.getItem("feederQty");
+function processChartData(readings) {
+  readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-  if (savedTime) document.getElementById("feederTime").value = savedTime;
-  if (savedQty) document.getElementById("feederQty").value = savedQty;
+  // x as epoch millis: charts run with parsing disabled so decimation can work on raw points
+  const times = readings.map((r) => new Date(r.timestamp).getTime());
+
+  // Missing or impossible values become null, never 0. The line is drawn across a null when its
+  // neighbours are within the dataset's spanGaps (getChartGapMs) and only breaks at longer gaps
+  const calibration = getWaterLevelCalibration();
+  return Object.fromEntries(
+    SENSOR_METRICS.map((metric) => [
+      metric.key,
+      readings.map((r, i) => {
+        const value = parseReadingValue(r, metric.field);
+        if (!metric.calibrated) return { x: times[i], y: value };
+
+        // Plotted in the calibration's chart unit; the raw reading is kept for the tooltip
+        const y = value !== null && calibration.chartUnit ? convertWaterLevel(value, calibration)[calibration.chartUnit.key] : value;
+        return { x: times[i], y, reading: value };
+      }),
+    ])
+  );
+}
 
-  form.addEventListener("submit", async function (e) {
-    e.preventDefault();
+/**
+ * Update or create a Chart.js chart
+ * Existing charts are updated in place; a chart is only (re)created when none is tracked
+ * for the canvas. Fixes "Canvas is already in use" by destroying any stale chart first.
+ *
+ * Long ranges are downsampled with Chart.js min-max decimation against the plot's pixel
+ * width, so spikes survive. The full raw series stays in the dataset, so zooming into
+ * a narrower window re-decimates from raw points (and shows them all once they fit).
+ *
+ * When thresholdKey names an alert threshold (see getAlertThresholds), the safe range is drawn as a shaded
+ * band with dashed min/max lines, and breaching points/segments are highlighted.
+ * Charts listed in FEEDING_MARKER_CHARTS also get a vertical marker per fed event.
+ * options.sparse (manual water tests): always connect the points and draw each one.
+ * options.tooltipLabel(point): tooltip text for a data point instead of the plotted value.
+ *
+ * NOTE: Requires a date adapter for time scale (you already added date-fns adapter in index.html).
+ */
+function updateChart(canvasId, label, data, color, thresholdKey, options = {}) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
 
-    const datetimeValue = document.getElementById("feederTime").value;
-    const qty = parseFloat(document.getElementById("feederQty").value);
-    const submitBtn = form.querySelector('button[type="submit"]');
+  const spanGaps = options.sparse ? true : getChartGapMs();
+  const pointRadius = options.sparse ? 3 : 1;
+
+  const tracked = charts[canvasId];
+  if (tracked && tracked.canvas === canvas) {
+    tracked.data.datasets[0].data = data;
+    tracked.data.datasets[0].label = label;
+    tracked.data.datasets[0].spanGaps = spanGaps;
+    tracked.options.scales.x = getTimeAxisOptions();
+    tracked.options.scales.y = getValueAxisOptions(thresholdKey);
+    tracked.options.plugins.annotation.annotations = buildChartAnnotations(canvasId, thresholdKey);
+    tracked.update();
+    return;
+  }
 
-    // Validate inputs
-    if (!datetimeValue || isNaN(qty) || qty < 0 || qty > 10) {
-      showFeederMessage("Please enter valid date/time and quantity (0-10g)", "error");
-      return;
-    }
+  const ctx = canvas.getContext("2d");
 
-    // Disable button during submission
-    submitBtn.disabled = true;
-    submitBtn.textContent = "Scheduling...";
+  // ✅ Destroy chart we track (if any)
+  if (charts[canvasId]) {
+    charts[canvasId].destroy();
+    delete charts[canvasId];
+  }
 
-    try {
-      // Extract ISO timestamp directly from datetime-local input
-      // datetime-local format: YYYY-MM-DDTHH:mm
-      const feedTime = datetimeValue + ":00"; // Add seconds - scheduled feed time
-      const timestamp = new Date().toISOString(); // Current time when posting
+  // ✅ Extra safety: destroy chart Chart.js is tracking for this canvas
+  // (prevents desync issues after exceptions)
+  const existing = Chart.getChart(canvas);
+  if (existing) {
+    existing.destroy();
+  }
 
-      // Create feeding event via API
-      // Backend expects: tank_id, feed_quantity_g, feedtime, timestamp, status
-      const payload = {
-        tank_id: "tank_001",
-        feed_quantity_g: qty,
-        feedtime: feedTime,
-        timestamp: timestamp,
-        status: "pending",
-      };
+  charts[canvasId] = new Chart(ctx, {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label,
+          data,
+          borderColor: color,
+          backgroundColor: color + "20",
+          borderWidth: 2,
+          fill: true,
+          tension: 0.1,
+          spanGaps,
+          pointRadius: (context) => (isPointBreached(context, thresholdKey) ? 3 : pointRadius),
+          pointBackgroundColor: (context) => (isPointBreached(context, thresholdKey) ? THRESHOLD_STYLE.breach : color),
+          pointBorderColor: (context) => (isPointBreached(context, thresholdKey) ? THRESHOLD_STYLE.breach : color),
+          pointHoverRadius: 4,
+          segment: {
+            borderColor: (context) =>
+              isOutOfRange(context.p0.parsed.y, thresholdKey) || isOutOfRange(context.p1.parsed.y, thresholdKey)
+                ? THRESHOLD_STYLE.breach
+                : undefined,
+          },
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      parsing: false,
+      normalized: true,
+      plugins: {
+        legend: { display: false },
+        decimation: { enabled: true, algorithm: "min-max" },
+        annotation: { annotations: buildChartAnnotations(canvasId, thresholdKey) },
+        tooltip: options.tooltipLabel
+          ? { callbacks: { label: (context) => `${context.dataset.label}: ${options.tooltipLabel(context.raw)}` } }
+          : {},
+        zoom: {
+          zoom: {
+            drag: { enabled: true, backgroundColor: "rgba(102, 126, 234, 0.15)" },
+            mode: "x",
+            onZoomComplete: onChartZoomComplete,
+          },
+          pan: {
+            enabled: true,
+            mode: "x",
+            modifierKey: "shift",
+            onPanComplete: onChartZoomComplete,
+          },
+        },
+      },
+      scales: {
+        x: getTimeAxisOptions(),
+        y: getValueAxisOptions(thresholdKey),
+      },
+      interaction: { intersect: false, mode: "index" },
+      animation: { duration: 500 },
+    },
+  });
+}
 
-      console.log("📤 Sending feeder payload:", payload);
-      await createFeedingEvent(payload);
+/**
+ * Threshold helpers for chart styling
+ */
+function isOutOfRange(value, thresholdKey) {
+  const threshold = getAlertThresholds()[thresholdKey];
+  if (!threshold || value === null || value === undefined || Number.isNaN(value)) return false;
+  return (threshold.min !== undefined && value < threshold.min) || (threshold.max !== undefined && value > threshold.max);
+}
 
-      // Save to localStorage as well
-      localStorage.setItem("feederTime", datetimeValue);
-      localStorage.setItem("feederQty", qty);
+function isPointBreached(context, thresholdKey) {
+  return context.raw ? isOutOfRange(context.raw.y, thresholdKey) : false;
+}
 
-      showFeederMessage(`✅ Feed scheduled for ${new Date(feedTime).toLocaleString()} - ${qty}g`, "success");
-      console.log(`📅 Feeder scheduled: ${feedTime} / ${qty}g`);
-      
-      // Reload both pending and history if available
-      if (currentPage === "feeding") {
-        await loadPendingFeedings();
-        await loadFeedingEvents();
-      }
-    } catch (error) {
-      console.error("❌ Feeder submission failed:", error);
-      showFeederMessage(`❌ Failed to schedule feed: ${error.message}`, "error");
-    } finally {
-      // Re-enable button
-      submitBtn.disabled = false;
-      submitBtn.textContent = "Schedule Feed";
-    }
+/**
+ * Value axis - suggest the threshold limits so the min/max lines are always in view
+ */
+function getValueAxisOptions(thresholdKey) {
+  const threshold = getAlertThresholds()[thresholdKey] || {};
+  return {
+    beginAtZero: false,
+    suggestedMin: threshold.min,
+    suggestedMax: threshold.max,
+    grid: { color: "#e9ecef" },
+  };
+}
+
+/**
+ * Build chartjs-plugin-annotation config: shaded safe band plus dashed min/max lines
+ */
+function buildThresholdAnnotations(thresholdKey) {
+  const threshold = getAlertThresholds()[thresholdKey];
+  if (!threshold || (threshold.min === undefined && threshold.max === undefined)) return {};
+
+  // Missing bound leaves the band open to the chart edge (e.g. ammonia has no minimum)
+  const annotations = {
+    safeBand: {
+      type: "box",
+      yMin: threshold.min,
+      yMax: threshold.max,
+      backgroundColor: THRESHOLD_STYLE.safeBand,
+      borderWidth: 0,
+      drawTime: "beforeDatasetsDraw",
+    },
+  };
+
+  const limitLine = (value, text) => ({
+    type: "line",
+    yMin: value,
+    yMax: value,
+    borderColor: THRESHOLD_STYLE.limitLine,
+    borderWidth: 1,
+    borderDash: [6, 4],
+    label: {
+      display: true,
+      content: `${text} ${value}`,
+      position: "start",
+      backgroundColor: "rgba(220, 53, 69, 0.8)",
+      font: { size: 10 },
+      padding: 3,
+    },
   });
+
+  if (threshold.min !== undefined) annotations.minLine = limitLine(threshold.min, "min");
+  if (threshold.max !== undefined) annotations.maxLine = limitLine(threshold.max, "max");
+
+  return annotations;
 }
 
-function showFeederMessage(text, type) {
-  const messageEl = document.getElementById("feederMessage");
-  if (messageEl) {
-    messageEl.textContent = text;
-    messageEl.className = `message ${type}`;
-    messageEl.style.display = "block";
+/**
+ * All annotations for a chart: threshold band/lines plus feeding markers where enabled
+ */
+function buildChartAnnotations(canvasId, thresholdKey) {
+  const annotations = buildThresholdAnnotations(thresholdKey);
 
-    if (type === "success") {
-      setTimeout(() => {
-        messageEl.style.display = "none";
-      }, 3000);
+  if (FEEDING_MARKER_CHARTS.includes(canvasId)) {
+    feedingMarkers.forEach((marker, index) => {
+      annotations[`feeding${index}`] = buildFeedingMarkerAnnotation(marker);
+    });
+  }
+
+  return annotations;
+}
+
+/**
+ * Vertical feeding marker - details label is shown while hovered
+ */
+function buildFeedingMarkerAnnotation(marker) {
+  const color = marker.status === "failed" ? FEEDING_MARKER_COLORS.failed : FEEDING_MARKER_COLORS.fed;
+
+  return {
+    type: "line",
+    scaleID: "x",
+    value: marker.time,
+    borderColor: color,
+    borderWidth: 1.5,
+    borderDash: [2, 3],
+    drawTime: "afterDatasetsDraw",
+    label: {
+      display: false,
+      content: [`🐟 Fed ${marker.quantity}g (${marker.status})`, formatSG(new Date(marker.time).toISOString())],
+      position: "start",
+      backgroundColor: color,
+      font: { size: 11 },
+      padding: 4,
+    },
+    enter({ element }) {
+      element.label.options.display = true;
+      return true;
+    },
+    leave({ element }) {
+      element.label.options.display = false;
+      return true;
+    },
+  };
+}
+
+/**
+ * Load non-pending feeding events whose feed time falls in the given range
+ * Never throws - markers are optional, the charts render without them
+ */
+async function loadFeedingMarkers(tankId, range) {
+  try {
+    // API normalizes naive timestamps to Singapore time, so send an explicit UTC offset
+    const params = new URLSearchParams({
+      tank_id: tankId,
+      start_ts: `${toApiIso(new Date(range.start.getTime() - FEEDING_MARKER_LOOKBACK_MS))}+00:00`,
+      end_ts: `${toApiIso(range.end)}+00:00`,
+      limit: "500",
+    });
+    const response = await fetch(`${API_BASE}/feeding-events?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Feeding events API error: ${response.status}`);
     }
+
+    const data = await response.json();
+    const start = range.start.getTime();
+    const end = range.end.getTime();
+
+    return (data.items || [])
+      .filter((event) => (event.status || "").toLowerCase() !== "pending")
+      .map((event) => ({
+        time: new Date(normalizeIsoForSG(event.feedtime || event.timestamp)).getTime(),
+        quantity: event.feed_quantity_g ?? event.quantity_grams ?? event.quantity ?? "?",
+        status: (event.status || "success").toLowerCase(),
+      }))
+      .filter((marker) => marker.time >= start && marker.time <= end);
+  } catch (error) {
+    console.error("❌ Failed to load feeding markers:", error);
+    return [];
   }
 }
 
-const SG_TIME_ZONE = "Asia/Singapore";
-const SG_DATE_TIME_FORMATTER = new Intl.DateTimeFormat("en-CA", {
-  timeZone: SG_TIME_ZONE,
-  year: "numeric",
-  month: "2-digit",
-  day: "2-digit",
-  hour: "2-digit",
-  minute: "2-digit",
-  hour12: false,
-});
+/**
+ * Manual water tests (test kits)
+ */
 
-function normalizeIsoForSG(isoString) {
-  if (!isoString) return "";
+/**
+ * Tests in the range, reaching back at least WATER_TEST_MAX_AGE_MS so alerts see the latest result
+ * @returns {Promise<Array>} tests, oldest first ([] on failure)
+ */
+async function loadWaterTests(tankId, range) {
+  try {
+    const start = new Date(Math.min(range.start.getTime(), Date.now() - WATER_TEST_MAX_AGE_MS));
+    const params = new URLSearchParams({
+      tank_id: tankId,
+      start: `${toApiIso(start)}+00:00`,
+      end: `${toApiIso(range.end)}+00:00`,
+    });
+    const response = await fetch(`${API_BASE}/water-tests?${params.toString()}`);
 
-  const trimmed = String(isoString).trim();
-  const hasTimeZone = /[zZ]|[+-]\d{2}:\d{2}$/.test(trimmed);
-  if (hasTimeZone) return trimmed;
+    if (!response.ok) {
+      throw new Error(`Water tests API error: ${response.status}`);
+    }
 
-  const looksLikeIso = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(trimmed);
-  if (looksLikeIso) return `${trimmed}+08:00`;
+    const data = await response.json();
+    return data.items || [];
+  } catch (error) {
+    console.error("❌ Failed to load water tests:", error);
+    return [];
+  }
+}
 
-  return trimmed;
+async function refreshWaterTests() {
+  const tankId = currentTankId;
+  const tests = await loadWaterTests(tankId, getActiveRange());
+  if (tankId !== currentTankId) return;
+
+  waterTests = tests;
+  updateWaterTestCharts();
+  updateAlerts(currentReadings);
 }
 
-function formatSG(isoString) {
-  if (!isoString) return "--";
+function updateWaterTestCharts() {
+  const range = getActiveRange();
 
-  const normalized = normalizeIsoForSG(isoString);
-  const date = new Date(normalized);
-  if (Number.isNaN(date.getTime())) return "--";
+  WATER_TEST_METRICS.forEach((metric) => {
+    const data = waterTests
+      .filter((test) => test[metric.field] !== undefined && test[metric.field] !== null)
+      .map((test) => ({ x: new Date(normalizeIsoForSG(test.tested_at)).getTime(), y: test[metric.field] }))
+      .filter((point) => point.x >= range.start.getTime() && point.x <= range.end.getTime());
 
-  const parts = SG_DATE_TIME_FORMATTER.formatToParts(date);
-  const map = {};
-  parts.forEach((part) => {
-    map[part.type] = part.value;
+    updateChart(getMetricChartId(metric), getMetricTitle(metric), data, metric.color, metric.key, { sparse: true });
+
+    const placeholder = document.getElementById(`${metric.key}Placeholder`);
+    if (placeholder) placeholder.classList.toggle("show", data.length === 0);
+  });
+}
+
+/**
+ * Alerts for the latest result of each test metric, unless it is older than WATER_TEST_MAX_AGE_MS
+ */
+function evaluateWaterTestAlerts() {
+  const alerts = [];
+
+  WATER_TEST_METRICS.forEach((metric) => {
+    const latest = [...waterTests].reverse().find((test) => test[metric.field] !== undefined && test[metric.field] !== null);
+    if (!latest) return;
+    if (Date.now() - new Date(normalizeIsoForSG(latest.tested_at)).getTime() > WATER_TEST_MAX_AGE_MS) return;
+
+    const alert = checkMetricThresholds(metric, latest[metric.field], `tested ${formatSG(latest.tested_at)}`);
+    if (alert) alerts.push(alert);
   });
 
-  return `${map.year}-${map.month}-${map.day} ${map.hour}:${map.minute}`;
+  return alerts;
 }
 
-function formatSGForInput(isoString) {
-  if (!isoString) return "";
+function openWaterTestModal() {
+  const modal = document.getElementById("waterTestModal");
+  if (!modal) return;
 
-  const normalized = normalizeIsoForSG(isoString);
-  const date = new Date(normalized);
-  if (Number.isNaN(date.getTime())) return "";
+  document.getElementById("waterTestForm").reset();
+  document.getElementById("testedAtInput").value = formatSGForInput(new Date().toISOString());
+
+  const messageEl = document.getElementById("waterTestMessage");
+  messageEl.textContent = "";
+  messageEl.className = "message";
+
+  modal.classList.add("show");
+}
+
+function closeWaterTestModal() {
+  const modal = document.getElementById("waterTestModal");
+  if (modal) modal.classList.remove("show");
+}
+
+async function postWaterTests(body) {
+  const response = await fetch(`${API_BASE}/water-tests`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ tank_id: currentTankId, ...body }),
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const details = (data.errors || []).slice(0, 5).map((e) => `row ${e.index + 1}: ${e.error}`);
+    throw new Error([data.error || `Water tests API error: ${response.status}`, ...details].join("; "));
+  }
+  return data;
+}
+
+async function saveWaterTest(event) {
+  event.preventDefault();
+
+  const messageEl = document.getElementById("waterTestMessage");
+  const test = { tested_at: document.getElementById("testedAtInput").value };
+  WATER_TEST_METRICS.forEach((metric) => {
+    const value = document.getElementById(`${metric.key}TestInput`).value;
+    if (value !== "") test[metric.field] = parseFloat(value);
+  });
+  const note = document.getElementById("waterTestNoteInput").value.trim();
+  if (note) test.note = note;
+
+  if (!WATER_TEST_METRICS.some((metric) => test[metric.field] !== undefined)) {
+    messageEl.textContent = "❌ Enter at least one result";
+    messageEl.className = "message error";
+    return;
+  }
+
+  try {
+    await postWaterTests(test);
+    messageEl.textContent = "✅ Test saved";
+    messageEl.className = "message success";
+    console.log("🧪 Water test saved");
+
+    await refreshWaterTests();
+    setTimeout(closeWaterTestModal, 1000);
+  } catch (error) {
+    console.error("❌ Failed to save water test:", error);
+    messageEl.textContent = `❌ ${error.message}`;
+    messageEl.className = "message error";
+  }
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("" is a literal quote)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * CSV with a header row: tested_at (or date/timestamp) plus any water test fields (WATER_TEST_METRICS) and note.
+ * Times without an offset are Singapore time; "YYYY-MM-DD HH:mm" and date-only (midnight) are accepted.
+ * @returns {Object} { tests, errors: ["Line 3: ..."] }
+ */
+function parseWaterTestCsv(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length < 2) return { tests: [], errors: ["The file needs a header row and at least one test"] };
+
+  const aliases = { date: "tested_at", timestamp: "tested_at", time: "tested_at" };
+  const header = parseCsvLine(lines[0]).map((name) => {
+    const key = name.toLowerCase().replace(/\s*\(.*\)$/, "").replace(/\s+/g, "_");
+    return aliases[key] || key;
+  });
+  if (!header.includes("tested_at")) return { tests: [], errors: ['Missing "tested_at" (or "date") column'] };
+
+  const tests = [];
+  const errors = [];
+  lines.slice(1).forEach((line, index) => {
+    const lineNumber = index + 2;
+    const fields = parseCsvLine(line);
+    const row = {};
+    header.forEach((key, i) => {
+      row[key] = fields[i] ?? "";
+    });
+
+    const testedAt = row.tested_at.replace(" ", "T");
+    if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?([+-]\d{2}:\d{2}|Z)?)?$/.test(testedAt)) {
+      errors.push(`Line ${lineNumber}: invalid date "${row.tested_at}"`);
+      return;
+    }
+
+    const test = { tested_at: testedAt.length === 10 ? `${testedAt}T00:00:00` : testedAt };
+    for (const metric of WATER_TEST_METRICS) {
+      if (!row[metric.field]) continue;
+      const value = Number(row[metric.field]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`Line ${lineNumber}: invalid ${metric.label} "${row[metric.field]}"`);
+        return;
+      }
+      test[metric.field] = value;
+    }
+    if (!WATER_TEST_METRICS.some((metric) => test[metric.field] !== undefined)) {
+      errors.push(`Line ${lineNumber}: no results`);
+      return;
+    }
+    if (row.note) test.note = row.note;
+    tests.push(test);
+  });
+
+  if (tests.length > WATER_TEST_IMPORT_MAX_ROWS) {
+    errors.push(`Too many tests (${tests.length}); import at most ${WATER_TEST_IMPORT_MAX_ROWS} at a time`);
+  }
+  return { tests, errors };
+}
+
+async function importWaterTestCsv() {
+  const fileInput = document.getElementById("waterTestCsvInput");
+  const messageEl = document.getElementById("waterTestMessage");
+  const file = fileInput && fileInput.files[0];
+
+  if (!file) {
+    messageEl.textContent = "❌ Choose a CSV file first";
+    messageEl.className = "message error";
+    return;
+  }
+
+  const { tests, errors } = parseWaterTestCsv(await file.text());
+  if (errors.length > 0) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : "";
+    messageEl.textContent = `❌ Nothing imported: ${errors.slice(0, 5).join("; ")}${more}`;
+    messageEl.className = "message error";
+    return;
+  }
+
+  try {
+    const result = await postWaterTests({ tests });
+    messageEl.textContent = `✅ Imported ${result.imported} test(s)`;
+    messageEl.className = "message success";
+    fileInput.value = "";
+    console.log(`🧪 Imported ${result.imported} water test(s)`);
+
+    await refreshWaterTests();
+  } catch (error) {
+    console.error("❌ Water test import failed:", error);
+    messageEl.textContent = `❌ ${error.message}`;
+    messageEl.className = "message error";
+  }
+}
+
+/**
+ * Show/hide chart placeholders
+ */
+function showChartPlaceholders() {
+  SENSOR_METRICS.forEach((metric) => {
+    const el = document.getElementById(`${metric.key}Placeholder`);
+    if (el) el.classList.add("show");
+  });
+}
+
+function hideChartPlaceholders() {
+  SENSOR_METRICS.forEach((metric) => {
+    const el = document.getElementById(`${metric.key}Placeholder`);
+    if (el) el.classList.remove("show");
+  });
+}
+
+/**
+ * Zoom/pan handler - shares the new x window with all four charts
+ */
+function onChartZoomComplete({ chart }) {
+  const { min, max } = chart.scales.x;
+  zoomWindow = { min: Math.round(min), max: Math.round(max) };
+  applyZoomWindow();
+
+  // Debounced so a drag-pan only fetches once it settles
+  clearTimeout(zoomDetailTimeout);
+  zoomDetailTimeout = setTimeout(loadZoomDetail, 300);
+}
+
+/**
+ * Re-apply the time axis (zoom window or full range) to every chart
+ */
+function applyZoomWindow() {
+  Object.values(charts).forEach((chart) => {
+    if (!chart) return;
+    chart.options.scales.x = getTimeAxisOptions();
+    chart.update("none");
+  });
+
+  const resetBtn = document.getElementById("resetZoomBtn");
+  if (resetBtn) resetBtn.disabled = !zoomWindow;
+}
+
+/**
+ * Reset zoom control - back to the full timeline range
+ */
+function resetChartZoom() {
+  clearTimeout(zoomDetailTimeout);
+  if (!zoomWindow) return;
+
+  zoomWindow = null;
+  applyZoomWindow();
+  console.log("🔍 Chart zoom reset");
+}
+
+/**
+ * Fetch readings for a narrow zoom window and merge them into the charted data
+ */
+async function loadZoomDetail() {
+  if (!zoomWindow) return;
+
+  const requested = zoomWindow;
+  const activeRange = getActiveRange();
+  const zoomSpan = requested.max - requested.min;
+
+  // Only worth a request when the loaded range is much wider than the window
+  if (zoomSpan > ZOOM_DETAIL_MAX_SPAN_MS || activeRange.end - activeRange.start <= ZOOM_DETAIL_MAX_SPAN_MS) {
+    return;
+  }
+
+  const tank = getCurrentTank();
+
+  try {
+    const params = new URLSearchParams({
+      device_id: tank.deviceId,
+      start: toApiIso(new Date(requested.min)),
+      end: toApiIso(new Date(requested.max)),
+    });
+    const response = await fetch(`${API_BASE}/readings?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Sensor data API error: ${response.status}`);
+    }
+
+    const responseData = await response.json();
+
+    // Window or tank changed while this request was in flight - discard
+    if (zoomWindow !== requested || tank.tankId !== currentTankId) return;
+
+    if (responseData && Array.isArray(responseData.items) && responseData.items.length > 0) {
+      cacheReadings(tank.deviceId, responseData.items);
+      currentReadings = mergeReadings(currentReadings, responseData.items);
+      updateCharts(currentReadings);
+      console.log(`🔍 Loaded ${responseData.items.length} detail reading(s) for zoom window`);
+    }
+  } catch (error) {
+    // Keep showing the decimated period data
+    console.error("❌ Failed to load zoom detail:", error);
+  }
+}
+
+/**
+ * Merge two reading lists, de-duplicated by timestamp (later list wins)
+ */
+function mergeReadings(base, extra) {
+  const byTimestamp = new Map();
+  base.forEach((r) => byTimestamp.set(r.timestamp, r));
+  extra.forEach((r) => byTimestamp.set(r.timestamp, r));
+  return Array.from(byTimestamp.values());
+}
+
+/**
+ * Timeline selector event handler
+ */
+function selectTimeline(period) {
+  currentTimeline = period;
+  resetChartZoom();
+
+  const dropdown = document.getElementById("timelineSelect");
+  if (dropdown && dropdown.value !== period) {
+    dropdown.value = period;
+  }
+
+  const rangeForm = document.getElementById("dateRangeForm");
+  if (rangeForm) rangeForm.classList.toggle("show", period === "custom");
+
+  // Custom range waits for the user to apply from/to
+  if (period === "custom" && !customRange) {
+    prefillDateRangeInputs();
+    return;
+  }
+
+  // Reload sensor data for new timeline
+  loadSensorData();
+
+  console.log(`📅 Timeline changed to: ${TIMELINE_CONFIG[period].label}`);
+}
+
+/**
+ * Prefill the from/to inputs with the last 24 hours (Singapore time)
+ */
+function prefillDateRangeInputs() {
+  const fromInput = document.getElementById("rangeStartInput");
+  const toInput = document.getElementById("rangeEndInput");
+  if (!fromInput || !toInput) return;
+
+  const end = new Date();
+  const start = new Date(end.getTime() - DAY_MS);
+  fromInput.value = formatSGForInput(start.toISOString());
+  toInput.value = formatSGForInput(end.toISOString());
+}
+
+/**
+ * Apply custom date range from the from/to inputs (entered in Singapore time)
+ */
+function applyCustomRange(event) {
+  event.preventDefault();
+
+  const fromInput = document.getElementById("rangeStartInput");
+  const toInput = document.getElementById("rangeEndInput");
+  const message = document.getElementById("dateRangeMessage");
+  if (!fromInput || !toInput) return;
+
+  const start = new Date(normalizeIsoForSG(fromInput.value));
+  const end = new Date(normalizeIsoForSG(toInput.value));
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    if (message) {
+      message.textContent = "Please choose a valid range ('From' must be before 'To')";
+      message.className = "message error";
+    }
+    return;
+  }
+
+  if (message) {
+    message.textContent = "";
+    message.className = "message";
+  }
+
+  customRange = { start, end };
+  currentTimeline = "custom";
+  resetChartZoom();
+  loadSensorData();
+
+  console.log(`📅 Custom range applied: ${start.toISOString()} to ${end.toISOString()}`);
+}
+
+/**
+ * Settings modal functions
+ */
+function openSettingsModal() {
+  const profile = window.currentProfile || {};
+
+  const volume = profile.tank_volume_liters ?? profile.volume ?? "";
+  const appropriateLevel = profile.appropriate_water_level ?? profile.target_water_level ?? "";
+  const fishSmall = profile.fish_small ?? profile.fish_count?.small ?? 0;
+  const fishMedium = profile.fish_medium ?? profile.fish_count?.medium ?? 0;
+  const fishLarge = profile.fish_large ?? profile.fish_count?.large ?? 0;
+  const fishXLarge = profile.fish_xlarge ?? profile.fish_count?.extra_large ?? 0;
+
+  const volumeInput = document.getElementById("volumeInput");
+  const levelInput = document.getElementById("targetLevelInput");
+  const fishSmallInput = document.getElementById("fishSmallInput");
+  const fishMediumInput = document.getElementById("fishMediumInput");
+  const fishLargeInput = document.getElementById("fishLargeInput");
+  const fishExtraLargeInput = document.getElementById("fishExtraLargeInput");
+  const message = document.getElementById("settingsMessage");
+  const modal = document.getElementById("settingsModal");
+
+  if (!modal || !volumeInput || !levelInput) return;
+
+  volumeInput.value = volume;
+  levelInput.value = appropriateLevel;
+  if (fishSmallInput) fishSmallInput.value = fishSmall;
+  if (fishMediumInput) fishMediumInput.value = fishMedium;
+  if (fishLargeInput) fishLargeInput.value = fishLarge;
+  if (fishExtraLargeInput) fishExtraLargeInput.value = fishXLarge;
+
+  const offlineAfterInput = document.getElementById("offlineAfterInput");
+  if (offlineAfterInput) offlineAfterInput.value = profile.offline_after_minutes ?? DEFAULT_OFFLINE_AFTER_MINUTES;
+
+  const sensor = profile.water_level_sensor || {};
+  const dimensions = profile.tank_dimensions_cm || {};
+  Object.entries({
+    waterLevelSensorInput: getWaterLevelCalibration(profile).type,
+    emptyDistanceInput: sensor.empty_distance_cm ?? "",
+    fullDistanceInput: sensor.full_distance_cm ?? "",
+    tankLengthInput: dimensions.length ?? "",
+    tankWidthInput: dimensions.width ?? "",
+    tankHeightInput: dimensions.height ?? "",
+  }).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  });
+
+  renderPredictionCorrectionOptions(profile.prediction_correction || PREDICTION_CORRECTION_AUTO);
+
+  const thresholds = getAlertThresholds();
+  THRESHOLD_INPUTS.forEach(({ key, bound, inputId }) => {
+    const input = document.getElementById(inputId);
+    if (input) input.value = thresholds[key][bound] ?? "";
+  });
+
+  if (message) {
+    message.className = "message";
+    message.textContent = "";
+  }
+
+  modal.classList.add("show");
+}
+
+function closeSettingsModal() {
+  const modal = document.getElementById("settingsModal");
+  if (modal) modal.classList.remove("show");
+}
+
+/**
+ * Update alerts based on latest readings
+ */
+function updateAlerts(readings) {
+  // Evaluated on every page that loads readings so alarms also fire on the monitoring screen
+  const alertsList = document.getElementById("alertsList");
+
+  const alerts = [];
+
+  if (readings.length === 0) {
+    const offline = isDeviceOffline();
+    const periodLabel = TIMELINE_CONFIG[currentTimeline].label;
+
+    // deviceHealth is null when the API failed - that is not a device alarm
+    if (deviceHealth) {
+      notifyDangerAlerts(offline ? [{ level: "danger", title: "Sensor Offline", value: `No readings received for ${periodLabel}` }] : []);
+    }
+    if (!alertsList) return;
+
+    alertsList.innerHTML = offline
+      ? `
+      <div class="alert alert-danger">
+        <div class="alert-header">
+          <i class="fas fa-exclamation-circle"></i>
+          <strong>Sensor Offline</strong>
+        </div>
+        <div class="alert-content">
+          <p class="alert-value">No readings received for ${periodLabel}</p>
+          <p class="alert-suggestion"><i class="fas fa-lightbulb"></i> Check the M5Core's power and Wi-Fi connection</p>
+        </div>
+      </div>
+    `
+      : `
+      <div class="alert alert-info">
+        <i class="fas fa-info-circle"></i>
+        <span>No data available to check alerts</span>
+      </div>
+    `;
+    return;
+  }
+
+  // Get latest reading (sorted by timestamp)
+  const latest = readings.reduce((recent, current) => {
+    return new Date(current.timestamp) > new Date(recent.timestamp) ? current : recent;
+  });
+
+  // Device health first - stale or faulty values must not read as "within safe ranges"
+  if (isDeviceOffline()) {
+    const silentSeconds = Math.round((Date.now() - deviceHealth.lastSeen) / 1000);
+    alerts.push({
+      level: "danger",
+      title: "Sensor Offline",
+      value: `No readings for ${formatDuration(silentSeconds)} (last seen ${formatSG(new Date(deviceHealth.lastSeen).toISOString())})`,
+      suggestion: "Check the M5Core's power and Wi-Fi connection - values below are not current",
+    });
+  }
+
+  (deviceHealth ? deviceHealth.faults : []).forEach((fault) => {
+    alerts.push({
+      level: "caution",
+      title: `Sensor Fault: ${fault.label}`,
+      value: fault.detail,
+      suggestion: "Check the probe connection and calibration - this value is excluded from alerts and charts",
+    });
+  });
+
+  // Threshold checks on the latest reading; impossible or missing values (null) are skipped
+  SENSOR_METRICS.forEach((metric) => {
+    const value = parseReadingValue(latest, metric.field);
+    const alert = value === null ? null : checkMetricThresholds(metric, value);
+    if (alert) alerts.push(alert);
+  });
+
+  // Water level against the tank's low limit, compared in cm when the calibration allows
+  const waterLevel = parseReadingValue(latest, "water_level");
+  const waterCalibration = getWaterLevelCalibration();
+  const waterMinimum = getWaterLevelMinimum(waterCalibration);
+  if (waterLevel !== null && waterMinimum) {
+    const level = convertWaterLevel(waterLevel, waterCalibration);
+    const unit = waterCalibration.units[0].key;
+
+    if (level[unit] !== null && level[unit] < waterMinimum[unit]) {
+      alerts.push({
+        level: "caution",
+        title: "Low Water Level",
+        value: `${formatWaterLevel(level)} (min: ${formatWaterLevel(waterMinimum)})`,
+        suggestion: "Top up water to appropriate level",
+      });
+    }
+  }
+
+  // Latest manual test kit results
+  alerts.push(...evaluateWaterTestAlerts());
+
+  // Trend checks over the whole readings window
+  alerts.push(...evaluateTrendRules(readings));
+
+  notifyDangerAlerts(alerts);
+  if (!alertsList) return;
+
+  // Render alerts or "all safe" message
+  if (alerts.length === 0) {
+    alertsList.innerHTML = `
+      <div class="alert alert-success">
+        <i class="fas fa-check-circle"></i>
+        <span>All parameters within safe ranges</span>
+      </div>
+    `;
+  } else {
+    alertsList.innerHTML = alerts
+      .map(
+        (alert) => `
+      <div class="alert alert-${alert.level}">
+        <div class="alert-header">
+          <i class="fas fa-${alert.level === "danger" ? "exclamation-circle" : "info-circle"}"></i>
+          <strong>${alert.title}</strong>
+        </div>
+        <div class="alert-content">
+          <p class="alert-value">${alert.value}</p>
+          <p class="alert-suggestion"><i class="fas fa-lightbulb"></i> ${alert.suggestion}</p>
+        </div>
+      </div>
+    `
+      )
+      .join("");
+  }
+
+  console.log(`🚨 Alerts updated: ${alerts.length} alert(s) detected`);
+}
+
+/**
+ * Browser alarms (Web Notifications + sound) for new danger alerts
+ */
+
+function getAlarmSettings() {
+  try {
+    return { ...DEFAULT_ALARM_SETTINGS, ...JSON.parse(localStorage.getItem(ALARM_SETTINGS_STORAGE_KEY) || "{}") };
+  } catch (error) {
+    return { ...DEFAULT_ALARM_SETTINGS };
+  }
+}
+
+function saveAlarmSettings(settings) {
+  localStorage.setItem(ALARM_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  updateAlarmButton();
+}
+
+function isAlarmSnoozed(settings) {
+  return Boolean(settings.snoozedUntil) && Date.now() < settings.snoozedUntil;
+}
+
+/**
+ * True when the current Singapore time is inside the quiet hours window (may cross midnight)
+ */
+function isQuietHours(settings) {
+  if (!settings.quietHours) return false;
+
+  const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm).split(":").map(Number);
+    return h * 60 + m;
+  };
+  const parts = {};
+  SG_DATE_TIME_FORMATTER.formatToParts(new Date()).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  // en-CA with hour12:false formats midnight as "24"
+  const now = (Number(parts.hour) % 24) * 60 + Number(parts.minute);
+  const start = toMinutes(settings.quietStart);
+  const end = toMinutes(settings.quietEnd);
+
+  if (Number.isNaN(start) || Number.isNaN(end) || start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Raise a notification/sound for danger alerts that were not active on the previous check.
+ * De-duplicated per tank and alert title; snoozed alerts are not marked as notified,
+ * so they alarm once the snooze ends if still active. Quiet hours mute the sound only.
+ */
+function notifyDangerAlerts(alerts) {
+  // Past ranges and zoomed-out history are not "now" - never alarm on them
+  if (!deviceHealth || !deviceHealth.live) return;
+
+  const settings = getAlarmSettings();
+  const tank = getCurrentTank();
+  const now = Date.now();
+
+  let state = {};
+  try {
+    state = JSON.parse(localStorage.getItem(ALARM_STATE_STORAGE_KEY) || "{}");
+  } catch (error) {
+    state = {};
+  }
+
+  const notified = state[tank.tankId] || {};
+  const activeTitles = new Set();
+  const fresh = [];
+
+  alerts
+    .filter((alert) => alert.level === "danger")
+    .forEach((alert) => {
+      activeTitles.add(alert.title);
+      if (notified[alert.title]) {
+        // Still active: the re-arm window counts from when it was last seen, i.e. when it cleared
+        notified[alert.title] = now;
+        return;
+      }
+      if (isAlarmSnoozed(settings)) return;
+      notified[alert.title] = now;
+      fresh.push(alert);
+    });
+
+  // Forget cleared alerts once they have stayed cleared for the re-arm window
+  Object.keys(notified).forEach((title) => {
+    if (!activeTitles.has(title) && now - notified[title] > ALARM_REARM_MS) {
+      delete notified[title];
+    }
+  });
+
+  state[tank.tankId] = notified;
+  localStorage.setItem(ALARM_STATE_STORAGE_KEY, JSON.stringify(state));
+
+  if (fresh.length === 0) return;
+
+  const quiet = isQuietHours(settings);
+  console.log(`🔔 ${fresh.length} new danger alert(s) for ${tank.name}${quiet ? " (quiet hours)" : ""}`);
+
+  if (settings.notifications && "Notification" in window && Notification.permission === "granted") {
+    fresh.forEach((alert) => {
+      const notification = new Notification(`${tank.name}: ${alert.title}`, {
+        body: String(alert.value ?? ""),
+        tag: `aquascope-${tank.tankId}-${alert.title}`,
+        requireInteraction: true,
+        silent: quiet,
+      });
+      notification.onclick = () => window.focus();
+    });
+  }
+
+  if (settings.sound && !quiet) {
+    playAlarmSound();
+  }
+}
+
+/**
+ * Create/resume the audio context - browsers only allow this from a user gesture
+ */
+function unlockAlarmAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  if (!alarmAudioContext) alarmAudioContext = new AudioContextClass();
+  if (alarmAudioContext.state === "suspended") {
+    alarmAudioContext.resume().catch(() => {});
+  }
+  return alarmAudioContext;
+}
+
+/**
+ * Three two-tone beeps (generated, no audio file needed)
+ */
+function playAlarmSound() {
+  const ctx = unlockAlarmAudio();
+  if (!ctx) return;
+
+  for (let i = 0; i < 3; i++) {
+    const start = ctx.currentTime + i * 0.6;
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    oscillator.type = "square";
+    oscillator.frequency.setValueAtTime(880, start);
+    oscillator.frequency.setValueAtTime(660, start + 0.2);
+    gain.gain.setValueAtTime(0.15, start);
+    gain.gain.setValueAtTime(0, start + 0.4);
+
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.4);
+  }
+}
+
+function updateAlarmButton() {
+  const btn = document.getElementById("alarmSettingsBtn");
+  if (!btn) return;
+
+  const settings = getAlarmSettings();
+  let label = "Alarms Off";
+  let icon = "bell-slash";
+
+  if (isAlarmSnoozed(settings)) {
+    label = `Snoozed until ${formatSG(new Date(settings.snoozedUntil).toISOString()).slice(11)}`;
+    icon = "clock";
+  } else if (settings.notifications || settings.sound) {
+    label = "Alarms On";
+    icon = "bell";
+  }
+
+  btn.innerHTML = `<i class="fas fa-${icon}"></i> ${label}`;
+}
+
+function openAlarmModal() {
+  const modal = document.getElementById("alarmModal");
+  if (!modal) return;
+
+  const settings = getAlarmSettings();
+  document.getElementById("alarmNotificationsInput").checked = settings.notifications;
+  document.getElementById("alarmSoundInput").checked = settings.sound;
+  document.getElementById("alarmQuietHoursInput").checked = settings.quietHours;
+  document.getElementById("alarmQuietStartInput").value = settings.quietStart;
+  document.getElementById("alarmQuietEndInput").value = settings.quietEnd;
+
+  renderAlarmStatus();
+  modal.classList.add("show");
+}
+
+function closeAlarmModal() {
+  const modal = document.getElementById("alarmModal");
+  if (modal) modal.classList.remove("show");
+}
+
+function renderAlarmStatus() {
+  const status = document.getElementById("alarmStatus");
+  if (!status) return;
+
+  const settings = getAlarmSettings();
+  const permission = "Notification" in window ? Notification.permission : "unsupported";
+  const lines = [`Browser notification permission: ${permission}`];
+
+  if (isAlarmSnoozed(settings)) {
+    lines.push(`Snoozed until ${formatSG(new Date(settings.snoozedUntil).toISOString())}`);
+  }
+  status.innerHTML = lines.map((line) => `<div>${line}</div>`).join("");
+}
+
+async function saveAlarmModal(event) {
+  event.preventDefault();
+
+  const settings = {
+    ...getAlarmSettings(),
+    notifications: document.getElementById("alarmNotificationsInput").checked,
+    sound: document.getElementById("alarmSoundInput").checked,
+    quietHours: document.getElementById("alarmQuietHoursInput").checked,
+    quietStart: document.getElementById("alarmQuietStartInput").value || DEFAULT_ALARM_SETTINGS.quietStart,
+    quietEnd: document.getElementById("alarmQuietEndInput").value || DEFAULT_ALARM_SETTINGS.quietEnd,
+  };
+
+  if (settings.sound) unlockAlarmAudio();
+
+  if (settings.notifications && "Notification" in window && Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+  const messageEl = document.getElementById("alarmMessage");
+  if (settings.notifications && (!("Notification" in window) || Notification.permission !== "granted")) {
+    settings.notifications = false;
+    if (messageEl) {
+      messageEl.textContent = "Notifications are blocked or unsupported in this browser";
+      messageEl.className = "message error";
+    }
+  } else if (messageEl) {
+    messageEl.textContent = "Alarm settings saved";
+    messageEl.className = "message success";
+  }
+
+  saveAlarmSettings(settings);
+  renderAlarmStatus();
+}
+
+function testAlarm() {
+  const settings = getAlarmSettings();
+  playAlarmSound();
+
+  if (settings.notifications && "Notification" in window && Notification.permission === "granted") {
+    new Notification(`${getCurrentTank().name}: Test Alarm`, { body: "Danger alerts will look like this" });
+  }
+}
+
+/**
+ * Silence alarms for the given number of minutes (0 resumes immediately)
+ */
+function snoozeAlarms(minutes) {
+  const settings = getAlarmSettings();
+  settings.snoozedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+  saveAlarmSettings(settings);
+  renderAlarmStatus();
+  console.log(minutes > 0 ? `😴 Alarms snoozed for ${minutes} min` : "🔔 Alarms resumed");
+}
+
+/**
+ * Device health (stale sensor, gaps, impossible/stuck values)
+ */
+
+/**
+ * Parse a reading field, returning null for missing or physically impossible values
+ */
+function parseReadingValue(reading, field) {
+  const value = parseFloat(reading[field]);
+  const range = SENSOR_PLAUSIBLE_RANGES[field];
+
+  if (!Number.isFinite(value)) return null;
+  if (range && (value < range.min || value > range.max)) return null;
+  if (range && range.zeroIsMissing && value === 0) return null;
+  return value;
+}
+
+function getOfflineAfterMs() {
+  const profile = window.currentProfile || {};
+  const minutes = parseFloat(profile.offline_after_minutes);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_OFFLINE_AFTER_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Assess the loaded readings: last-seen time, gaps and faulty values in the latest reading
+ * @returns {Object} { lastSeen, live, gapMs, gaps: [{ start, end }], faults: [{ field, label, detail }] }
+ */
+function assessDeviceHealth(readings) {
+  const sorted = readings
+    .map((r) => ({ reading: r, t: new Date(r.timestamp).getTime() }))
+    .filter((entry) => !Number.isNaN(entry.t))
+    .sort((a, b) => a.t - b.t);
+
+  const health = {
+    lastSeen: sorted.length ? sorted[sorted.length - 1].t : null,
+    live: isLiveRange(),
+    gapMs: MIN_GAP_MS,
+    gaps: [],
+    faults: [],
+  };
+  if (sorted.length === 0) return health;
+
+  // Gaps: pauses much longer than the typical (median) reading interval
+  const intervals = sorted.slice(1).map((entry, i) => entry.t - sorted[i].t).sort((a, b) => a - b);
+  const medianInterval = intervals.length ? intervals[Math.floor(intervals.length / 2)] : 0;
+  health.gapMs = Math.max(MIN_GAP_MS, medianInterval * GAP_INTERVAL_MULTIPLE);
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].t - sorted[i - 1].t > health.gapMs) {
+      health.gaps.push({ start: sorted[i - 1].t, end: sorted[i].t });
+    }
+  }
+
+  // Faults: missing, impossible or flat-lined values in the latest reading
+  const latest = sorted[sorted.length - 1].reading;
+  Object.entries(SENSOR_PLAUSIBLE_RANGES).forEach(([field, range]) => {
+    const raw = latest[field];
+    const value = parseFloat(raw);
+
+    if (raw === undefined || raw === null || raw === "" || !Number.isFinite(value)) {
+      health.faults.push({ field, label: range.label, detail: "Missing from the latest reading" });
+    } else if (parseReadingValue(latest, field) === null) {
+      health.faults.push({
+        field,
+        label: range.label,
+        detail: `${value} is not physically possible (expected ${range.min}–${range.max}${range.zeroIsMissing ? ", non-zero" : ""})`,
+      });
+    } else if (range.flatlineMs && isFlatlined(sorted, field, range.flatlineMs)) {
+      health.faults.push({
+        field,
+        label: range.label,
+        detail: `Stuck at ${value} for over ${formatDuration(range.flatlineMs / 1000)}`,
+      });
+    }
+  });
+
+  return health;
+}
+
+/**
+ * True when every reading in the last windowMs has the identical value (needs a well-covered window)
+ */
+function isFlatlined(sorted, field, windowMs) {
+  const end = sorted[sorted.length - 1].t;
+  const recent = sorted.filter((entry) => entry.t >= end - windowMs);
+  if (recent.length < 5 || end - recent[0].t < windowMs * TREND_MIN_COVERAGE) return false;
+
+  const first = parseFloat(recent[0].reading[field]);
+  return recent.every((entry) => parseFloat(entry.reading[field]) === first);
+}
+
+/**
+ * True when the selected range reaches the present (silence and new readings only matter then)
+ */
+function isLiveRange() {
+  // Cached data while offline says nothing about the device (no offline alarms, no appends)
+  if (servingCachedData) return false;
+  return Date.now() - getActiveRange().end.getTime() < getOfflineAfterMs();
+}
+
+function isDeviceOffline() {
+  if (!deviceHealth || !deviceHealth.live) return false;
+  return deviceHealth.lastSeen === null || Date.now() - deviceHealth.lastSeen > getOfflineAfterMs();
+}
+
+/**
+ * Max gap (ms) a chart line may span - longer gaps render as breaks
+ */
+function getChartGapMs() {
+  return deviceHealth ? deviceHealth.gapMs : MIN_GAP_MS;
+}
+
+/**
+ * Render the device health indicator (last seen, offline/fault state, gap count)
+ */
+function renderDeviceHealth() {
+  const el = document.getElementById("deviceHealth");
+  if (!el) return;
+
+  if (!deviceHealth) {
+    el.className = "device-health";
+    el.innerHTML = "";
+    el.title = "";
+    return;
+  }
+
+  const { lastSeen, live, gaps, faults } = deviceHealth;
+  const lastSeenText = lastSeen !== null ? formatSG(new Date(lastSeen).toISOString()) : "never in this period";
+  let state = "online";
+  let text = `Online · last seen ${lastSeenText}`;
+
+  if (isDeviceOffline()) {
+    state = "offline";
+    text = lastSeen !== null
+      ? `Offline · silent ${formatDuration(Math.round((Date.now() - lastSeen) / 1000))} · last seen ${lastSeenText}`
+      : "Offline · no readings in this period";
+  } else if (faults.length > 0) {
+    state = "fault";
+    text = `Sensor fault (${faults.map((fault) => fault.label).join(", ")}) · last seen ${lastSeenText}`;
+  } else if (!live) {
+    state = "past";
+    text = `Past range · last reading ${lastSeenText}`;
+  }
+
+  if (gaps.length > 0) {
+    const longest = Math.max(...gaps.map((gap) => gap.end - gap.start));
+    text += ` · ${gaps.length} gap(s), longest ${formatDuration(Math.round(longest / 1000))}`;
+  }
+
+  el.className = `device-health ${state}`;
+  el.title = faults.map((fault) => `${fault.label}: ${fault.detail}`).join("\n");
+  el.innerHTML = `<span class="device-health-dot"></span><span>${text}</span>`;
+}
+
+/**
+ * Periodic re-render; re-checks alerts when the device crosses the silence limit
+ */
+function refreshDeviceHealth() {
+  const wasOffline = deviceHealth ? deviceHealth.wasOffline : false;
+  renderDeviceHealth();
+
+  if (!deviceHealth) return;
+  const offline = isDeviceOffline();
+  if (offline !== wasOffline) updateAlerts(currentReadings);
+  deviceHealth.wasOffline = offline;
+}
+
+/**
+ * Evaluate TREND_RULES against the readings window
+ * @returns {Array} Alerts in the same shape updateAlerts renders
+ */
+function evaluateTrendRules(readings) {
+  const alerts = [];
+
+  TREND_RULES.forEach((rule) => {
+    const series = getTrendSeries(readings, rule.field, rule.windowMs, rule.convert);
+    if (!series) return;
+
+    const evaluate = TREND_EVALUATORS[rule.type];
+    const value = evaluate ? evaluate(series, rule) : null;
+    if (value) {
+      alerts.push({ level: rule.level, title: rule.title, value, suggestion: rule.suggestion });
+    }
+  });
+
+  return alerts;
+}
+
+/**
+ * Points { t, v } for a field within windowMs of the latest reading
+ * @param {Function} [convert] - maps each raw value (e.g. water level to cm); null drops the point
+ * @returns {Array|null} Sorted points, or null when the window is too sparse to judge
+ */
+function getTrendSeries(readings, field, windowMs, convert) {
+  // Missing and impossible values (see parseReadingValue) are excluded, like on the charts -
+  // a 0 from a dropped sensor must not read as a sudden drop
+  const points = readings
+    .map((r) => {
+      const value = parseReadingValue(r, field);
+      return { t: new Date(r.timestamp).getTime(), v: convert && value !== null ? convert(value) : value };
+    })
+    .filter((p) => !Number.isNaN(p.t) && Number.isFinite(p.v))
+    .sort((a, b) => a.t - b.t);
+  if (points.length === 0) return null;
+
+  const end = points[points.length - 1].t;
+  const windowPoints = points.filter((p) => p.t >= end - windowMs);
+
+  const covered = end - windowPoints[0].t;
+  if (windowPoints.length < 3 || covered < windowMs * TREND_MIN_COVERAGE) return null;
+
+  return windowPoints;
+}
+
+/**
+ * Trend evaluators - return the alert value text when the rule fires, otherwise null
+ */
+const TREND_EVALUATORS = {
+  drop(series, rule) {
+    const latest = series[series.length - 1].v;
+    const peak = Math.max(...series.map((p) => p.v));
+    const drop = peak - latest;
+    if (drop <= rule.maxDrop) return null;
+
+    return `Dropped ${drop.toFixed(rule.precision)}${rule.unit} in ${formatDuration(rule.windowMs / 1000)} (${peak.toFixed(rule.precision)} → ${latest.toFixed(rule.precision)}${rule.unit})`;
+  },
+
+  risingSteady(series, rule) {
+    // Hourly means, oldest first; every hour must be above the previous one
+    const start = series[series.length - 1].t - rule.windowMs;
+    const buckets = [];
+    series.forEach((p) => {
+      const index = Math.min(Math.floor((p.t - start) / HOUR_MS), rule.windowMs / HOUR_MS - 1);
+      (buckets[index] = buckets[index] || []).push(p.v);
+    });
+
+    const means = buckets.filter(Boolean).map((values) => values.reduce((sum, v) => sum + v, 0) / values.length);
+    if (means.length < rule.windowMs / HOUR_MS) return null;
+
+    const steady = means.every((mean, i) => i === 0 || mean > means[i - 1]);
+    const rise = means[means.length - 1] - means[0];
+    if (!steady || rise < rule.minRise) return null;
+
+    return `Up ${rise.toFixed(rule.precision)}${rule.unit} over ${formatDuration(rule.windowMs / 1000)} (hourly averages ${means.map((m) => m.toFixed(rule.precision)).join(" → ")})`;
+  },
+
+  fallingRate(series, rule) {
+    const slopePerHour = linearSlope(series) * HOUR_MS;
+    if (-slopePerHour <= rule.maxFallPerHour) return null;
+
+    return `Falling ${(-slopePerHour).toFixed(rule.precision)}${rule.unit} per hour over ${formatDuration(rule.windowMs / 1000)} (limit ${rule.maxFallPerHour}${rule.unit}/h)`;
+  },
+};
+
+/**
+ * Least-squares slope of { t, v } points (value units per millisecond)
+ */
+function linearSlope(points) {
+  const n = points.length;
+  const meanT = points.reduce((sum, p) => sum + p.t, 0) / n;
+  const meanV = points.reduce((sum, p) => sum + p.v, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((p) => {
+    numerator += (p.t - meanT) * (p.v - meanV);
+    denominator += (p.t - meanT) ** 2;
+  });
+
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Alert history (alerts page)
+ */
+
+/**
+ * Prefill the alert history date filters with the default window and bind filter changes
+ */
+function setupAlertHistoryFilters() {
+  const fromInput = document.getElementById("alertFromDate");
+  const toInput = document.getElementById("alertToDate");
+
+  if (fromInput && toInput && !fromInput.value && !toInput.value) {
+    const now = new Date();
+    const from = new Date(now.getTime() - ALERT_HISTORY_DAYS * DAY_MS);
+    fromInput.value = formatSGForInput(from.toISOString()).slice(0, 10);
+    toInput.value = formatSGForInput(now.toISOString()).slice(0, 10);
+  }
+
+  ["alertStateFilter", "alertWorkflowFilter", "alertMetricFilter"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (select && !select.dataset.bound) {
+      select.addEventListener("change", renderAlertHistory);
+      select.dataset.bound = "true";
+    }
+  });
+}
+
+/**
+ * Load alert log for the selected tank and date range (dates are Singapore days)
+ */
+async function loadAlertHistory() {
+  const fromInput = document.getElementById("alertFromDate");
+  const toInput = document.getElementById("alertToDate");
+
+  try {
+    const params = new URLSearchParams({ tank_id: currentTankId });
+    if (fromInput && fromInput.value) params.set("start", `${fromInput.value}T00:00:00+08:00`);
+    if (toInput && toInput.value) params.set("end", `${toInput.value}T23:59:59+08:00`);
+
+    const response = await fetch(`${API_BASE}/alerts?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Alert log API error: ${response.status}`);
+    }
+    noteApiResponse(response);
+
+    const data = await response.json();
+    alertHistory = Array.isArray(data.items) ? data.items : [];
+    console.log(`🚨 Alert history loaded: ${alertHistory.length} alert(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load alert history:", error);
+    alertHistory = [];
+  }
+
+  renderAlertHistory();
+}
+
+/**
+ * Workflow state of a logged alert: new → acknowledged → resolved
+ */
+function getAlertWorkflow(alert) {
+  if (alert.resolved_at) return "resolved";
+  if (alert.acknowledged_at) return "acknowledged";
+  return "new";
+}
+
+/**
+ * Alert duration in seconds (ongoing alerts count up to now)
+ */
+function getAlertDurationSeconds(alert) {
+  if (alert.duration_seconds !== undefined) return alert.duration_seconds;
+  const opened = new Date(alert.opened_at).getTime();
+  const closed = alert.closed_at ? new Date(alert.closed_at).getTime() : Date.now();
+  return Math.max(0, Math.round((closed - opened) / 1000));
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || Number.isNaN(seconds)) return "--";
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Escape user-entered text (alert notes) before inserting into HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Apply state/workflow/metric filters to the loaded alert history
+ */
+function getFilteredAlertHistory() {
+  const state = document.getElementById("alertStateFilter")?.value || "all";
+  const workflow = document.getElementById("alertWorkflowFilter")?.value || "all";
+  const metric = document.getElementById("alertMetricFilter")?.value || "all";
+
+  return alertHistory.filter(
+    (alert) =>
+      (state === "all" || alert.state === state) &&
+      (workflow === "all" || getAlertWorkflow(alert) === workflow) &&
+      (metric === "all" || alert.metric === metric)
+  );
+}
+
+/**
+ * Render alert history table and duration statistics
+ */
+function renderAlertHistory() {
+  const tableBody = document.getElementById("alertHistoryTableBody");
+  if (!tableBody) return;
+
+  const alerts = getFilteredAlertHistory();
+  renderAlertStats(alerts);
+
+  if (alerts.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="7" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-check-circle"></i>
+            <p>No alerts match these filters</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = alerts
+    .map((alert) => {
+      const workflow = getAlertWorkflow(alert);
+      const title = ALERT_RULE_TITLES[alert.rule] || alert.rule;
+      const alertId = encodeURIComponent(alert.alert_id);
+      const notes = [
+        alert.ack_note ? `<div class="alert-note"><strong>Ack:</strong> ${escapeHtml(alert.ack_note)}</div>` : "",
+        alert.resolve_note ? `<div class="alert-note"><strong>Resolved:</strong> ${escapeHtml(alert.resolve_note)}</div>` : "",
+      ].join("");
+
+      return `
+        <tr>
+          <td class="timestamp">${formatSG(alert.opened_at)}</td>
+          <td>
+            <strong>${title}</strong>
+            <div class="alert-note">${escapeHtml(alert.message || "")}</div>
+            ${notes}
+          </td>
+          <td><span class="status-badge level-${alert.level}">${alert.level}</span></td>
+          <td>${formatDuration(getAlertDurationSeconds(alert))}</td>
+          <td><span class="status-badge state-${alert.state}">${alert.state}</span></td>
+          <td><span class="status-badge workflow-${workflow}">${workflow}</span></td>
+          <td class="actions-cell">
+            <button class="btn-action btn-edit" onclick="openAlertActionModal('${alertId}', 'acknowledge')" title="Acknowledge" ${workflow !== "new" ? "disabled" : ""}>
+              <i class="fas fa-eye"></i>
+            </button>
+            <button class="btn-action btn-resolve" onclick="openAlertActionModal('${alertId}', 'resolve')" title="Resolve" ${workflow === "resolved" ? "disabled" : ""}>
+              <i class="fas fa-check"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Duration statistics over the filtered alerts
+ */
+function renderAlertStats(alerts) {
+  const statsEl = document.getElementById("alertStats");
+  if (!statsEl) return;
+
+  const durations = alerts.map(getAlertDurationSeconds);
+  const total = durations.reduce((sum, d) => sum + d, 0);
+  const active = alerts.filter((alert) => alert.state === "active").length;
+  const unacknowledged = alerts.filter((alert) => getAlertWorkflow(alert) === "new").length;
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const median = sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+
+  const byMetric = {};
+  alerts.forEach((alert, i) => {
+    const entry = byMetric[alert.metric] || { count: 0, total: 0 };
+    entry.count += 1;
+    entry.total += durations[i];
+    byMetric[alert.metric] = entry;
+  });
+
+  statsEl.innerHTML = `
+    <div class="tank-info-grid alert-stats-grid">
+      <div class="info-card"><label>Alerts</label><div class="value">${alerts.length}</div><span class="unit">${active} active</span></div>
+      <div class="info-card"><label>Unacknowledged</label><div class="value">${unacknowledged}</div><span class="unit">need attention</span></div>
+      <div class="info-card"><label>Average Duration</label><div class="value">${alerts.length ? formatDuration(Math.round(total / alerts.length)) : "--"}</div><span class="unit">median ${formatDuration(median)}</span></div>
+      <div class="info-card"><label>Longest</label><div class="value">${sorted.length ? formatDuration(sorted[sorted.length - 1]) : "--"}</div><span class="unit">total ${formatDuration(total)}</span></div>
+    </div>
+    <div class="alert-metric-breakdown">
+      ${Object.entries(byMetric)
+        .map(
+          ([metric, entry]) =>
+            `<span class="metric-chip"><strong>${metric}</strong> ${entry.count} alert(s), ${formatDuration(entry.total)} out of range</span>`
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Acknowledge/resolve modal
+ */
+function openAlertActionModal(encodedAlertId, action) {
+  const modal = document.getElementById("alertActionModal");
+  const titleEl = document.getElementById("alertActionTitle");
+  const noteInput = document.getElementById("alertActionNote");
+  const submitBtn = document.getElementById("alertActionSubmit");
+  const messageEl = document.getElementById("alertActionMessage");
+  if (!modal) return;
+
+  modal.dataset.alertId = decodeURIComponent(encodedAlertId);
+  modal.dataset.action = action;
+
+  const label = action === "resolve" ? "Resolve Alert" : "Acknowledge Alert";
+  if (titleEl) titleEl.textContent = label;
+  if (submitBtn) submitBtn.textContent = label;
+  if (noteInput) noteInput.value = "";
+  if (messageEl) {
+    messageEl.textContent = "";
+    messageEl.className = "message";
+  }
+
+  modal.classList.add("show");
+}
+
+function closeAlertActionModal() {
+  const modal = document.getElementById("alertActionModal");
+  if (modal) modal.classList.remove("show");
+}
+
+/**
+ * Submit acknowledge/resolve with note via API
+ */
+async function submitAlertAction(event) {
+  event.preventDefault();
+
+  const modal = document.getElementById("alertActionModal");
+  const noteInput = document.getElementById("alertActionNote");
+  const submitBtn = document.getElementById("alertActionSubmit");
+  const messageEl = document.getElementById("alertActionMessage");
+  if (!modal) return;
+
+  const action = modal.dataset.action;
+  const label = submitBtn ? submitBtn.textContent : "";
+
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Saving...";
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/alerts`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        tank_id: currentTankId,
+        alert_id: modal.dataset.alertId,
+        action,
+        note: noteInput ? noteInput.value.trim() : "",
+      }),
+    });
+
+    if (!response.ok) {
+      let errorMessage = `HTTP ${response.status}`;
+      try {
+        const errorBody = await response.text();
+        if (errorBody) errorMessage = errorBody;
+      } catch (e) {
+        // Unable to parse response body
+      }
+      throw new Error(errorMessage);
+    }
+
+    const result = await response.json();
+    const index = alertHistory.findIndex((alert) => alert.alert_id === modal.dataset.alertId);
+    if (index !== -1 && result.item) alertHistory[index] = result.item;
+    renderAlertHistory();
+
+    console.log(`✅ Alert ${action} saved`);
+    closeAlertActionModal();
+  } catch (error) {
+    console.error(`❌ Failed to ${action} alert:`, error);
+    if (messageEl) {
+      messageEl.textContent = `❌ Failed to save: ${error.message}`;
+      messageEl.className = "message error";
+    }
+  } finally {
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = label;
+    }
+  }
+}
+
+/**
+ * Prediction accuracy (accuracy page)
+ */
+
+function setupPredictionAccuracyFilters() {
+  const fromInput = document.getElementById("accuracyFromDate");
+  const toInput = document.getElementById("accuracyToDate");
+
+  if (fromInput && toInput && !fromInput.value && !toInput.value) {
+    const now = new Date();
+    const from = new Date(now.getTime() - PREDICTION_LOG_DAYS * DAY_MS);
+    fromInput.value = formatSGForInput(from.toISOString()).slice(0, 10);
+    toInput.value = formatSGForInput(now.toISOString()).slice(0, 10);
+  }
+
+  const sourceSelect = document.getElementById("accuracySourceFilter");
+  if (sourceSelect && !sourceSelect.dataset.bound) {
+    sourceSelect.addEventListener("change", renderPredictionAccuracy);
+    sourceSelect.dataset.bound = "true";
+  }
+}
+
+/**
+ * Load predictions made in the selected range (dates are Singapore days)
+ */
+async function loadPredictionLog() {
+  const fromInput = document.getElementById("accuracyFromDate");
+  const toInput = document.getElementById("accuracyToDate");
+
+  try {
+    const params = new URLSearchParams({ tank_id: currentTankId });
+    if (fromInput && fromInput.value) params.set("start", `${fromInput.value}T00:00:00+08:00`);
+    if (toInput && toInput.value) params.set("end", `${toInput.value}T23:59:59+08:00`);
+
+    const response = await fetch(`${API_BASE}/predictions?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Prediction log API error: ${response.status}`);
+    }
+    noteApiResponse(response);
+
+    const data = await response.json();
+    predictionLog = Array.isArray(data.items) ? data.items : [];
+    console.log(`🎯 Prediction log loaded: ${predictionLog.length} prediction(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load prediction log:", error);
+    predictionLog = [];
+  }
+
+  renderPredictionAccuracy();
+}
+
+/**
+ * MAE and bias (mean of predicted - actual; positive = over-predicting) of reconciled predictions
+ * @returns {Object} { count, mae, bias } - mae/bias are null without reconciled predictions
+ */
+function computePredictionErrors(entries) {
+  const errors = entries
+    .filter((entry) => entry.actual_ammonia !== undefined && entry.actual_ammonia !== null)
+    .map((entry) => entry.prediction - entry.actual_ammonia);
+
+  if (errors.length === 0) return { count: 0, mae: null, bias: null };
+
+  return {
+    count: errors.length,
+    mae: errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length,
+    bias: errors.reduce((sum, e) => sum + e, 0) / errors.length,
+  };
+}
+
+function formatPpm(value, signed = false) {
+  if (value === null || value === undefined) return "--";
+  return `${signed && value > 0 ? "+" : ""}${Number(value).toFixed(3)}`;
+}
+
+function renderPredictionAccuracy() {
+  const sourceSelect = document.getElementById("accuracySourceFilter");
+  const source = sourceSelect ? sourceSelect.value : "all";
+  const entries = predictionLog.filter((entry) => source === "all" || entry.source === source);
+
+  renderAccuracyStats(entries);
+  renderAccuracyChart(entries);
+  renderAccuracyBreakdown(entries);
+  renderPredictionLogTable(entries);
+}
+
+function renderAccuracyStats(entries) {
+  const statsEl = document.getElementById("accuracyStats");
+  if (!statsEl) return;
+
+  const overall = computePredictionErrors(entries);
+  const pending = entries.length - overall.count;
+  const byCorrection = {};
+  entries.forEach((entry) => {
+    const key = entry.correction || "unknown";
+    byCorrection[key] = [...(byCorrection[key] || []), entry];
+  });
+
+  statsEl.innerHTML = `
+    <div class="tank-info-grid alert-stats-grid">
+      <div class="info-card"><label>Predictions</label><div class="value">${entries.length}</div><span class="unit">${pending} awaiting actual</span></div>
+      <div class="info-card"><label>Mean Absolute Error</label><div class="value">${formatPpm(overall.mae)}</div><span class="unit">ppm, ${overall.count} compared</span></div>
+      <div class="info-card"><label>Bias</label><div class="value">${formatPpm(overall.bias, true)}</div><span class="unit">ppm, ${overall.bias > 0 ? "over-predicting" : overall.bias < 0 ? "under-predicting" : "predicted - actual"}</span></div>
+    </div>
+    <div class="alert-metric-breakdown">
+      ${Object.entries(byCorrection)
+        .map(([correction, group]) => {
+          const errors = computePredictionErrors(group);
+          return `<span class="metric-chip"><strong>${escapeHtml(PREDICTION_CORRECTIONS[correction]?.label || correction)}</strong> ${group.length} prediction(s), MAE ${formatPpm(errors.mae)} ppm</span>`;
+        })
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Predicted (every recorded prediction) and actual (one per day) end-of-day ammonia by target day
+ */
+function renderAccuracyChart(entries) {
+  const canvas = document.getElementById("accuracyChart");
+  if (!canvas || typeof Chart === "undefined") return;
+
+  const dayTime = (date) => new Date(`${date}T12:00:00+08:00`).getTime();
+  const actualByDay = {};
+  entries.forEach((entry) => {
+    if (entry.actual_ammonia !== undefined && entry.actual_ammonia !== null) {
+      actualByDay[entry.target_date] = entry.actual_ammonia;
+    }
+  });
+
+  const predicted = entries.map((entry) => ({ x: dayTime(entry.target_date), y: entry.prediction }));
+  const actual = Object.keys(actualByDay)
+    .sort()
+    .map((date) => ({ x: dayTime(date), y: actualByDay[date] }));
+
+  if (charts.accuracyChart) {
+    charts.accuracyChart.destroy();
+  }
+
+  charts.accuracyChart = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: "Actual",
+          data: actual,
+          borderColor: CHART_COLORS.ammonia,
+          backgroundColor: CHART_COLORS.ammonia + "20",
+          borderWidth: 2,
+          tension: 0.1,
+          pointRadius: 3,
+        },
+        {
+          label: "Predicted",
+          data: predicted,
+          showLine: false,
+          borderColor: CHART_COLORS.ph,
+          backgroundColor: CHART_COLORS.ph,
+          pointRadius: 4,
+          pointStyle: "crossRot",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      parsing: false,
+      plugins: {
+        legend: { display: true },
+      },
+      scales: {
+        x: {
+          type: "time",
+          time: { unit: "day", tooltipFormat: "yyyy-MM-dd", displayFormats: { day: "MMM d" } },
+        },
+        y: { beginAtZero: true, title: { display: true, text: "ppm" } },
+      },
+      interaction: { intersect: false, mode: "nearest" },
+    },
+  });
+}
+
+function renderAccuracyBreakdown(entries) {
+  const tableBody = document.getElementById("accuracyBreakdownTableBody");
+  if (!tableBody) return;
+
+  tableBody.innerHTML = ACCURACY_FEED_BUCKETS.map((bucket) => {
+    const inBucket = entries.filter((entry) => entry.feed_quantity_g >= bucket.min && entry.feed_quantity_g < bucket.max);
+    const errors = computePredictionErrors(inBucket);
+
+    return `
+      <tr>
+        <td>${bucket.label}</td>
+        <td>${inBucket.length} (${errors.count} compared)</td>
+        <td>${formatPpm(errors.mae)}</td>
+        <td>${formatPpm(errors.bias, true)}</td>
+      </tr>
+    `;
+  }).join("");
+}
+
+function renderPredictionLogTable(entries) {
+  const tableBody = document.getElementById("predictionLogTableBody");
+  if (!tableBody) return;
+
+  if (entries.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="7" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-flask"></i>
+            <p>No predictions recorded in this range</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  // Newest first
+  tableBody.innerHTML = [...entries]
+    .reverse()
+    .map((entry) => {
+      const hasActual = entry.actual_ammonia !== undefined && entry.actual_ammonia !== null;
+      const error = hasActual ? entry.prediction - entry.actual_ammonia : null;
+      // The summary's feeding may differ from what was predicted for (e.g. a manual what-if)
+      const feedNote =
+        hasActual && entry.actual_feed_quantity_g !== undefined && entry.actual_feed_quantity_g !== entry.feed_quantity_g
+          ? ` <span class="accuracy-muted">(fed ${entry.actual_feed_quantity_g})</span>`
+          : "";
+
+      return `
+        <tr>
+          <td class="timestamp">${formatSG(entry.created_at)}</td>
+          <td class="timestamp">${escapeHtml(entry.target_date)}</td>
+          <td><span class="status-badge ${entry.source === "scheduler" ? "pending" : "queued"}">${escapeHtml(entry.source)}</span></td>
+          <td>${entry.feed_quantity_g}${feedNote}</td>
+          <td>${formatPpm(entry.prediction)}</td>
+          <td>${hasActual ? formatPpm(entry.actual_ammonia) : '<span class="accuracy-muted">awaiting summary</span>'}</td>
+          <td>${formatPpm(error, true)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Daily summary history (history page)
+ */
+
+function setupDailySummaryFilters() {
+  const fromInput = document.getElementById("summaryFromDate");
+  const toInput = document.getElementById("summaryToDate");
+
+  // daily_summary is written just after midnight, so the latest row is yesterday's
+  if (fromInput && toInput && !fromInput.value && !toInput.value) {
+    const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
+    toInput.value = shiftDate(today, -1);
+    fromInput.value = shiftDate(today, -DAILY_SUMMARY_DAYS);
+  }
+}
+
+/**
+ * Calendar arithmetic on "YYYY-MM-DD" (Singapore) dates
+ */
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function getWeekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return shiftDate(date, -((weekday + 6) % 7)); // Monday
+}
+
+async function loadDailySummaries() {
+  const fromInput = document.getElementById("summaryFromDate");
+  const toInput = document.getElementById("summaryToDate");
+
+  try {
+    const params = new URLSearchParams({ tank_id: currentTankId });
+    if (fromInput && fromInput.value) params.set("start", fromInput.value);
+    if (toInput && toInput.value) params.set("end", toInput.value);
+
+    const response = await fetch(`${API_BASE}/daily-summary?${params.toString()}`);
+
+    if (!response.ok) {
+      throw new Error(`Daily summary API error: ${response.status}`);
+    }
+    noteApiResponse(response);
+
+    const data = await response.json();
+    dailySummaries = (Array.isArray(data.items) ? data.items : []).filter(
+      (item) => item.ammonia !== undefined && item.ammonia !== null
+    );
+    console.log(`📅 Daily summaries loaded: ${dailySummaries.length} day(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load daily summaries:", error);
+    dailySummaries = [];
+  }
+
+  renderDailySummaries();
+}
+
+function renderDailySummaries() {
+  renderDailySummaryStats();
+  renderAmmoniaHeatmap();
+  renderFeedAmmoniaScatter();
+  renderWeekOverWeek();
+}
+
+function renderDailySummaryStats() {
+  const statsEl = document.getElementById("dailySummaryStats");
+  if (!statsEl) return;
+
+  if (dailySummaries.length === 0) {
+    statsEl.innerHTML = `
+      <div class="feeding-empty-state">
+        <i class="fas fa-calendar-times"></i>
+        <p>No daily summaries in this range</p>
+      </div>
+    `;
+    return;
+  }
+
+  const ammonia = dailySummaries.map((day) => day.ammonia);
+  const overLimit = ammonia.filter((value) => isOutOfRange(value, "ammonia")).length;
+  const totalFeed = dailySummaries.reduce((sum, day) => sum + (day.feed_quantity_g || 0), 0);
+
+  statsEl.innerHTML = `
+    <div class="tank-info-grid alert-stats-grid">
+      <div class="info-card"><label>Days</label><div class="value">${dailySummaries.length}</div><span class="unit">summarized</span></div>
+      <div class="info-card"><label>Average Ammonia</label><div class="value">${(ammonia.reduce((sum, v) => sum + v, 0) / ammonia.length).toFixed(3)}</div><span class="unit">ppm, max ${Math.max(...ammonia).toFixed(3)}</span></div>
+      <div class="info-card"><label>Over Limit</label><div class="value">${overLimit}</div><span class="unit">day(s)</span></div>
+      <div class="info-card"><label>Total Feed</label><div class="value">${totalFeed.toFixed(1)}</div><span class="unit">g, ${(totalFeed / dailySummaries.length).toFixed(1)} g/day</span></div>
+    </div>
+  `;
+}
+
+/**
+ * Shade of the ammonia colour by how close the day ended to the limit; breaches in the breach colour
+ */
+function getHeatmapColor(value) {
+  if (isOutOfRange(value, "ammonia")) return THRESHOLD_STYLE.breach;
+
+  const limit = getAlertThresholds().ammonia?.max || 1;
+  const alpha = Math.round((0.15 + 0.85 * Math.min(value / limit, 1)) * 255);
+  return CHART_COLORS.ammonia + alpha.toString(16).padStart(2, "0");
+}
+
+/**
+ * Calendar heatmap: one column per week (Monday start), one row per weekday (chartjs-chart-matrix)
+ */
+function renderAmmoniaHeatmap() {
+  const canvas = document.getElementById("ammoniaHeatmapChart");
+  if (!canvas || typeof Chart === "undefined") return;
+
+  const fromInput = document.getElementById("summaryFromDate");
+  const toInput = document.getElementById("summaryToDate");
+  const first = (fromInput && fromInput.value) || dailySummaries[0]?.date;
+  const last = (toInput && toInput.value) || dailySummaries[dailySummaries.length - 1]?.date;
+
+  const weeks = [];
+  if (first && last) {
+    for (let week = getWeekStart(first); week <= last; week = shiftDate(week, 7)) {
+      weeks.push(week);
+    }
+  }
+
+  const data = dailySummaries.map((day) => {
+    const weekday = new Date(`${day.date}T00:00:00Z`).getUTCDay();
+    return {
+      x: getWeekStart(day.date),
+      y: HEATMAP_WEEKDAYS[(weekday + 6) % 7],
+      v: day.ammonia,
+      date: day.date,
+      feed: day.feed_quantity_g,
+    };
+  });
+
+  if (charts.ammoniaHeatmapChart) {
+    charts.ammoniaHeatmapChart.destroy();
+  }
+
+  charts.ammoniaHeatmapChart = new Chart(canvas.getContext("2d"), {
+    type: "matrix",
+    data: {
+      datasets: [
+        {
+          label: "Ammonia",
+          data,
+          backgroundColor: (context) => (context.raw ? getHeatmapColor(context.raw.v) : "transparent"),
+          borderColor: "#ffffff",
+          borderWidth: 1,
+          width: ({ chart }) => (chart.chartArea || {}).width / Math.max(weeks.length, 1) - 2,
+          height: ({ chart }) => (chart.chartArea || {}).height / HEATMAP_WEEKDAYS.length - 2,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => items[0].raw.date,
+            label: (item) => [`Ammonia: ${item.raw.v.toFixed(3)} ppm`, `Feed: ${item.raw.feed ?? 0} g`],
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "category",
+          labels: weeks,
+          offset: true,
+          grid: { display: false },
+          ticks: { callback: (value, index) => weeks[index].slice(5), maxRotation: 0, autoSkip: true },
+        },
+        y: {
+          type: "category",
+          labels: HEATMAP_WEEKDAYS,
+          offset: true,
+          grid: { display: false },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * End-of-day ammonia against the day's feed, with the ammonia threshold band and a least-squares trend
+ */
+function renderFeedAmmoniaScatter() {
+  const canvas = document.getElementById("feedAmmoniaChart");
+  if (!canvas || typeof Chart === "undefined") return;
+
+  const points = dailySummaries.map((day) => ({ x: day.feed_quantity_g || 0, y: day.ammonia, date: day.date }));
+  const datasets = [
+    {
+      label: "Days",
+      data: points,
+      borderColor: CHART_COLORS.ammonia,
+      backgroundColor: CHART_COLORS.ammonia + "80",
+      pointRadius: 4,
+      pointBackgroundColor: (context) => (isPointBreached(context, "ammonia") ? THRESHOLD_STYLE.breach : CHART_COLORS.ammonia),
+    },
+  ];
+
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const varX = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (n >= 2 && varX > 0) {
+    const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / varX;
+    const xs = points.map((p) => p.x);
+    datasets.push({
+      type: "line",
+      label: `Trend (${slope >= 0 ? "+" : ""}${slope.toFixed(3)} ppm per g)`,
+      data: [Math.min(...xs), Math.max(...xs)].map((x) => ({ x, y: meanY + slope * (x - meanX) })),
+      borderColor: "#6c757d",
+      borderWidth: 1.5,
+      borderDash: [6, 4],
+      pointRadius: 0,
+    });
+  }
+
+  if (charts.feedAmmoniaChart) {
+    charts.feedAmmoniaChart.destroy();
+  }
+
+  charts.feedAmmoniaChart = new Chart(canvas.getContext("2d"), {
+    type: "scatter",
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: datasets.length > 1 },
+        annotation: { annotations: buildThresholdAnnotations("ammonia") },
+        tooltip: {
+          callbacks: {
+            label: (item) => (item.raw.date ? `${item.raw.date}: ${item.raw.x} g, ${item.raw.y.toFixed(3)} ppm` : item.dataset.label),
+          },
+        },
+      },
+      scales: {
+        x: { beginAtZero: true, title: { display: true, text: "Feed (g)" }, grid: { color: "#e9ecef" } },
+        y: { ...getValueAxisOptions("ammonia"), beginAtZero: true, title: { display: true, text: "Ammonia (ppm)" } },
+      },
+    },
+  });
+}
+
+/**
+ * Per-week (Monday start) ammonia and feed totals, oldest first
+ */
+function summarizeWeeks(days) {
+  const byWeek = {};
+  days.forEach((day) => {
+    const week = getWeekStart(day.date);
+    byWeek[week] = [...(byWeek[week] || []), day];
+  });
+
+  return Object.keys(byWeek)
+    .sort()
+    .map((week) => {
+      const weekDays = byWeek[week];
+      const ammonia = weekDays.map((day) => day.ammonia);
+      return {
+        week,
+        days: weekDays.length,
+        avgAmmonia: ammonia.reduce((sum, v) => sum + v, 0) / ammonia.length,
+        maxAmmonia: Math.max(...ammonia),
+        overLimit: ammonia.filter((value) => isOutOfRange(value, "ammonia")).length,
+        totalFeed: weekDays.reduce((sum, day) => sum + (day.feed_quantity_g || 0), 0),
+      };
+    });
+}
+
+/**
+ * Change against the previous week; rising ammonia is flagged as worse.
+ * Weeks can be partial (range edges, missing summaries), so feed is compared per day.
+ */
+function formatWeekChange(current, previous, digits, higherIsWorse) {
+  if (previous === undefined) return "--";
+  const delta = current - previous;
+  if (delta === 0) return `<span class="week-change">±0</span>`;
+
+  const direction = higherIsWorse ? (delta > 0 ? " worse" : " better") : "";
+  return `<span class="week-change${direction}">${delta > 0 ? "▲ +" : "▼ "}${delta.toFixed(digits)}</span>`;
+}
+
+function renderWeekOverWeek() {
+  const weeks = summarizeWeeks(dailySummaries);
+  const canvas = document.getElementById("weeklyChart");
+
+  if (canvas && typeof Chart !== "undefined") {
+    if (charts.weeklyChart) {
+      charts.weeklyChart.destroy();
+    }
+
+    charts.weeklyChart = new Chart(canvas.getContext("2d"), {
+      type: "bar",
+      data: {
+        labels: weeks.map((w) => w.week.slice(5)),
+        datasets: [
+          {
+            label: "Avg ammonia (ppm)",
+            data: weeks.map((w) => w.avgAmmonia),
+            backgroundColor: weeks.map((w) => (isOutOfRange(w.avgAmmonia, "ammonia") ? THRESHOLD_STYLE.breach : CHART_COLORS.ammonia)),
+            yAxisID: "y",
+          },
+          {
+            type: "line",
+            label: "Total feed (g)",
+            data: weeks.map((w) => w.totalFeed),
+            borderColor: CHART_COLORS.waterLevel,
+            backgroundColor: CHART_COLORS.waterLevel + "20",
+            borderWidth: 2,
+            tension: 0.1,
+            yAxisID: "y1",
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: { legend: { display: true } },
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: "ppm" }, grid: { color: "#e9ecef" } },
+          y1: { beginAtZero: true, position: "right", title: { display: true, text: "g" }, grid: { display: false } },
+        },
+        interaction: { intersect: false, mode: "index" },
+      },
+    });
+  }
+
+  const tableBody = document.getElementById("weeklySummaryTableBody");
+  if (!tableBody) return;
+
+  if (weeks.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="7" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-calendar-week"></i>
+            <p>No weeks to compare</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  // Newest week first, each compared with the week before it
+  tableBody.innerHTML = weeks
+    .map((w, i) => {
+      const previous = weeks[i - 1];
+      return `
+        <tr>
+          <td class="timestamp">${w.week}</td>
+          <td>${w.days}</td>
+          <td>${w.avgAmmonia.toFixed(3)} ${formatWeekChange(w.avgAmmonia, previous?.avgAmmonia, 3, true)}</td>
+          <td>${w.maxAmmonia.toFixed(3)}</td>
+          <td>${w.overLimit} ${formatWeekChange(w.overLimit, previous?.overLimit, 0, true)}</td>
+          <td>${w.totalFeed.toFixed(1)}</td>
+          <td>${(w.totalFeed / w.days).toFixed(1)} ${formatWeekChange(w.totalFeed / w.days, previous && previous.totalFeed / previous.days, 1, false)}</td>
+        </tr>
+      `;
+    })
+    .reverse()
+    .join("");
+}
+
+/**
+ * Auto Feeder functionality
+ */
+async function createFeedingEvent(payload) {
+  try {
+    // Queued (not sent) while offline - see submitFeedingAction
+    const result = await submitFeedingAction({ type: "create", tank_id: payload.tank_id, payload });
+    console.log(result.queued ? "📥 Feeding event queued (offline)" : "✅ Feeding event created successfully:", result);
+    return result;
+  } catch (error) {
+    console.error("❌ Failed to create feeding event:", error);
+    throw error;
+  }
+}
+
+/**
+ * Auto Feeder functionality
+ */
+function setupFeederForm() {
+  const form = document.getElementById("feederForm");
+  if (!form) return;
+
+  // Load saved values from localStorage
+  const savedTime = localStorage.getItem("feederTime");
+  const savedQty = localStorage.getItem("feederQty");
+
+  if (savedTime) document.getElementById("feederTime").value = savedTime;
+  if (savedQty) document.getElementById("feederQty").value = savedQty;
+
+  // Show the predicted outcome as soon as a quantity is entered
+  document.getElementById("feederQty").addEventListener("change", function () {
+    const qty = parseFloat(this.value);
+    if (!isNaN(qty) && qty >= 0 && qty <= 10) checkFeederPrediction(qty);
+  });
+
+  form.addEventListener("submit", async function (e) {
+    e.preventDefault();
+
+    const datetimeValue = document.getElementById("feederTime").value;
+    const qty = parseFloat(document.getElementById("feederQty").value);
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    // Validate inputs
+    if (!datetimeValue || isNaN(qty) || qty < 0 || qty > 10) {
+      showFeederMessage("Please enter valid date/time and quantity (0-10g)", "error");
+      return;
+    }
+
+    // Disable button during submission
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Checking prediction...";
+
+    try {
+      // Prediction gate: feeds predicted toxic need an override reason (stored on the event)
+      const check = await checkFeederPrediction(qty);
+      const overrideInput = document.getElementById("feederOverrideReason");
+      const overrideReason = overrideInput ? overrideInput.value.trim() : "";
+
+      if (check && check.className === "danger" && !overrideReason) {
+        showFeederMessage("⚠️ Predicted ammonia is toxic - reduce the quantity or enter an override reason", "error");
+        return;
+      }
+
+      submitBtn.textContent = "Scheduling...";
+
+      // Extract ISO timestamp directly from datetime-local input
+      // datetime-local format: YYYY-MM-DDTHH:mm
+      const feedTime = datetimeValue + ":00"; // Add seconds - scheduled feed time
+      const timestamp = new Date().toISOString(); // Current time when posting
+
+      // Create feeding event via API
+      // Backend expects: tank_id, feed_quantity_g, feedtime, timestamp, status
+      const payload = {
+        tank_id: currentTankId,
+        feed_quantity_g: qty,
+        feedtime: feedTime,
+        timestamp: timestamp,
+        status: "pending",
+      };
+
+      Object.assign(payload, getPredictionFields(check, overrideReason));
+
+      console.log("📤 Sending feeder payload:", payload);
+      const result = await createFeedingEvent(payload);
+
+      // Save to localStorage as well
+      localStorage.setItem("feederTime", datetimeValue);
+      localStorage.setItem("feederQty", qty);
+      if (overrideInput) overrideInput.value = "";
+
+      // Scheduled feeds are predictions for the feed day's end of day
+      if (check) recordPrediction("scheduler", check.payload, check, datetimeValue.slice(0, 10));
+
+      showFeederMessage(
+        result.queued
+          ? `📥 Offline - feed for ${new Date(feedTime).toLocaleString()} (${qty}g) will be scheduled when back online`
+          : `✅ Feed scheduled for ${new Date(feedTime).toLocaleString()} - ${qty}g`,
+        "success"
+      );
+      console.log(`📅 Feeder scheduled: ${feedTime} / ${qty}g`);
+      
+      // Reload both pending and history if available
+      if (currentPage === "feeding") {
+        await loadPendingFeedings();
+        await loadFeedingEvents();
+      }
+    } catch (error) {
+      console.error("❌ Feeder submission failed:", error);
+      showFeederMessage(`❌ Failed to schedule feed: ${error.message}`, "error");
+    } finally {
+      // Re-enable button
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Schedule Feed";
+    }
+  });
+}
+
+function showFeederMessage(text, type) {
+  const messageEl = document.getElementById("feederMessage");
+  if (messageEl) {
+    messageEl.textContent = text;
+    messageEl.className = `message ${type}`;
+    messageEl.style.display = "block";
+
+    if (type === "success") {
+      setTimeout(() => {
+        messageEl.style.display = "none";
+      }, 3000);
+    }
+  }
+}
+
+/**
+ * Predict end-of-day ammonia for a form's quantity and show the status inline.
+ * A danger prediction reveals the form's override reason field.
+ * @param {number} qty - Feed quantity (g)
+ * @param {string} form - Id prefix of the form's Prediction/Override elements
+ *   ("feeder", "editFeeding" or "plan")
+ * @returns {Promise<Object|null>} runAmmoniaPrediction() result plus { payload, status, className },
+ *   null when no prediction is available
+ */
+async function checkFeederPrediction(qty, form = "feeder") {
+  const request = (predictionCheckRequests[form] = (predictionCheckRequests[form] || 0) + 1);
+  const profile = window.currentProfile || {};
+  let result = null;
+
+  if (profile.tank_volume_liters || profile.volume) {
+    try {
+      const payload = buildPredictionPayload(profile, qty);
+      const run = await runAmmoniaPrediction(payload);
+      result = { ...run, payload, ...getAmmoniaStatus(run.prediction) };
+    } catch (error) {
+      // Offline or model unavailable - scheduling still works, just unchecked
+      console.warn("⚠️ Feed prediction unavailable:", error);
+    }
+  }
+
+  if (request !== predictionCheckRequests[form]) return result;
+
+  const predictionEl = document.getElementById(`${form}Prediction`);
+  if (predictionEl) {
+    predictionEl.className = `prediction-status feeder-prediction show ${result ? result.className : ""}`;
+    predictionEl.querySelector(".status-indicator").className = `status-indicator ${result ? result.className : ""}`;
+    predictionEl.querySelector(".status-text").textContent = result
+      ? `${result.prediction.toFixed(3)} ppm - ${result.status}`
+      : "Prediction unavailable - feed not checked";
+  }
+
+  const overrideEl = document.getElementById(`${form}Override`);
+  if (overrideEl) {
+    overrideEl.classList.toggle("show", Boolean(result && result.className === "danger"));
+  }
+
+  if (result) showAmmoniaPrediction(result.prediction, qty);
+  return result;
+}
+
+/**
+ * Hide a form's prediction status and clear its override reason (when its modal opens)
+ */
+function resetFeedPredictionCheck(form) {
+  predictionCheckRequests[form] = (predictionCheckRequests[form] || 0) + 1;
+  document.getElementById(`${form}Prediction`)?.classList.remove("show");
+  document.getElementById(`${form}Override`)?.classList.remove("show");
+  const reasonInput = document.getElementById(`${form}OverrideReason`);
+  if (reasonInput) reasonInput.value = "";
+}
+
+/**
+ * Prediction fields stored with a scheduled feed or plan. When no prediction was available the
+ * feed is still scheduled, flagged as unchecked so it is not mistaken for one that passed the gate.
+ * @param {Object|null} check - checkFeederPrediction() result
+ * @param {string} overrideReason - Required by the API when the prediction is danger
+ */
+function getPredictionFields(check, overrideReason) {
+  if (!check) return { prediction_status: PREDICTION_STATUS_UNCHECKED };
+
+  const fields = {
+    predicted_ammonia: Number(check.prediction.toFixed(3)),
+    prediction_status: check.className,
+  };
+  if (check.className === "danger") fields.override_reason = overrideReason;
+  return fields;
+}
+
+const SG_TIME_ZONE = "Asia/Singapore";
+const SG_DATE_TIME_FORMATTER = new Intl.DateTimeFormat("en-CA", {
+  timeZone: SG_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hour12: false,
+});
+
+function normalizeIsoForSG(isoString) {
+  if (!isoString) return "";
+
+  const trimmed = String(isoString).trim();
+  const hasTimeZone = /[zZ]|[+-]\d{2}:\d{2}$/.test(trimmed);
+  if (hasTimeZone) return trimmed;
+
+  const looksLikeIso = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(trimmed);
+  if (looksLikeIso) return `${trimmed}+08:00`;
+
+  return trimmed;
+}
+
+function formatSG(isoString) {
+  if (!isoString) return "--";
+
+  const normalized = normalizeIsoForSG(isoString);
+  const date = new Date(normalized);
+  if (Number.isNaN(date.getTime())) return "--";
+
+  const parts = SG_DATE_TIME_FORMATTER.formatToParts(date);
+  const map = {};
+  parts.forEach((part) => {
+    map[part.type] = part.value;
+  });
+
+  return `${map.year}-${map.month}-${map.day} ${map.hour}:${map.minute}`;
+}
+
+function formatSGForInput(isoString) {
+  if (!isoString) return "";
+
+  const normalized = normalizeIsoForSG(isoString);
+  const date = new Date(normalized);
+  if (Number.isNaN(date.getTime())) return "";
+
+  const parts = SG_DATE_TIME_FORMATTER.formatToParts(date);
+  const map = {};
+  parts.forEach((part) => {
+    map[part.type] = part.value;
+  });
+
+  return `${map.year}-${map.month}-${map.day}T${map.hour}:${map.minute}`;
+}
+
+const SG_DATE_TIME_SECONDS_FORMATTER = new Intl.DateTimeFormat("en-CA", {
+  timeZone: SG_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * "YYYY-MM-DD HH:mm:ss" in Singapore time (exports need seconds; see formatSG)
+ */
+function formatSGSeconds(isoString) {
+  if (!isoString) return "";
+
+  const normalized = normalizeIsoForSG(isoString);
+  const date = new Date(normalized);
+  if (Number.isNaN(date.getTime())) return "";
+
+  const parts = SG_DATE_TIME_SECONDS_FORMATTER.formatToParts(date);
+  const map = {};
+  parts.forEach((part) => {
+    map[part.type] = part.value;
+  });
+
+  return `${map.year}-${map.month}-${map.day} ${map.hour}:${map.minute}:${map.second}`;
+}
+
+/**
+ * Data export (monitoring: readings of the active range, feeding: feeding history)
+ */
+
+function openExportModal() {
+  const modal = document.getElementById("exportModal");
+  if (!modal) return;
+
+  const rangeNote = document.getElementById("exportRangeNote");
+  if (rangeNote) {
+    const range = getActiveRange();
+    rangeNote.textContent = `${formatSG(range.start.toISOString())} to ${formatSG(range.end.toISOString())} (Singapore time)`;
+  }
+
+  const fromInput = document.getElementById("exportFromDate");
+  const toInput = document.getElementById("exportToDate");
+  if (fromInput && toInput && !fromInput.value && !toInput.value) {
+    const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
+    fromInput.value = shiftDate(today, -(EXPORT_FEEDING_DAYS - 1));
+    toInput.value = today;
+  }
+
+  const messageEl = document.getElementById("exportMessage");
+  if (messageEl) {
+    messageEl.textContent = "";
+    messageEl.className = "message";
+  }
+
+  modal.classList.add("show");
+}
+
+function closeExportModal() {
+  const modal = document.getElementById("exportModal");
+  if (modal) modal.classList.remove("show");
+}
+
+async function submitExport(event) {
+  event.preventDefault();
+
+  const format = document.getElementById("exportFormat").value;
+  const resample = document.getElementById("exportResample").value;
+  const messageEl = document.getElementById("exportMessage");
+  const submitBtn = event.target.querySelector('button[type="submit"]');
+  const tank = getCurrentTank();
+
+  try {
+    if (submitBtn) submitBtn.disabled = true;
+
+    let table;
+    let range;
+    let complete = true;
+    if (currentPage === "monitoring") {
+      range = getActiveRange();
+      const readings = (await loadReadings(tank.deviceId, range)).filter((r) => {
+        const time = new Date(normalizeIsoForSG(r.timestamp)).getTime();
+        return time >= range.start.getTime() && time <= range.end.getTime();
+      });
+      table = buildReadingsExport(readings, resample);
+    } else {
+      const from = document.getElementById("exportFromDate").value;
+      const to = document.getElementById("exportToDate").value;
+      if (!from || !to || from > to) {
+        throw new Error("Choose a valid date range");
+      }
+      range = { start: new Date(`${from}T00:00:00+08:00`), end: new Date(`${to}T23:59:59+08:00`) };
+      const feedings = await loadFeedingExportEvents(tank.tankId, range);
+      complete = feedings.complete;
+      table = buildFeedingExport(feedings.events, resample);
+    }
+
+    if (table.rows.length === 0) {
+      throw new Error("No data in this range");
+    }
+
+    const fromLabel = formatSGSeconds(range.start.toISOString()).slice(0, 10);
+    const toLabel = formatSGSeconds(range.end.toISOString()).slice(0, 10);
+    const suffix = resample === "raw" ? "" : `_${resample}`;
+    const basename = `aquascope_${tank.tankId}_${table.name}_${fromLabel}_${toLabel}${suffix}`;
+
+    downloadExport(basename, format, table, {
+      tank_id: tank.tankId,
+      device_id: currentPage === "monitoring" ? tank.deviceId : undefined,
+      timezone: SG_TIME_ZONE,
+      start: formatExportTimestamp(range.start.toISOString(), "json"),
+      end: formatExportTimestamp(range.end.toISOString(), "json"),
+      resample,
+      exported_at: formatExportTimestamp(new Date().toISOString(), "json"),
+    });
+
+    messageEl.textContent = complete
+      ? `✅ Exported ${table.rows.length} row(s)`
+      : `⚠️ Exported ${table.rows.length} row(s) - incomplete, stopped after ${EXPORT_FEEDING_MAX_PAGES} pages of the most recently posted feedings; export a shorter range for the rest`;
+    messageEl.className = complete ? "message success" : "message error";
+    console.log(`📤 Exported ${table.name}: ${table.rows.length} row(s) as ${format}`);
+  } catch (error) {
+    console.error("❌ Export failed:", error);
+    messageEl.textContent = `❌ ${error.message}`;
+    messageEl.className = "message error";
+  } finally {
+    if (submitBtn) submitBtn.disabled = false;
+  }
+}
+
+/**
+ * Readings as export columns; resampled rows are per-bucket averages of the valid values
+ * (missing and impossible readings are blank, never 0 - see parseReadingValue)
+ * @returns {Object} { name, columns: [{ key, header }], rows: [{ key: value }] }
+ */
+function buildReadingsExport(readings, resample) {
+  const timeHeader = resample === "raw" ? "Timestamp (SGT)" : `${EXPORT_RESAMPLE[resample].label} Period Start (SGT)`;
+  const readingColumns = getExportReadingColumns();
+  const columns = [
+    { key: "timestamp", header: timeHeader, time: true },
+    ...readingColumns.map((column) => ({ key: column.key, header: column.header })),
+  ];
+
+  if (resample === "raw") {
+    return {
+      name: "readings",
+      columns,
+      rows: readings.map((r) => {
+        const row = { timestamp: normalizeIsoForSG(r.timestamp) };
+        readingColumns.forEach((column) => {
+          row[column.key] = column.value(r);
+        });
+        return row;
+      }),
+    };
+  }
+
+  const buckets = groupByExportPeriod(readings, (r) => r.timestamp, resample);
+  return {
+    name: "readings",
+    columns: [...columns, { key: "samples", header: "Readings" }],
+    rows: buckets.map(({ start, items }) => {
+      const row = { timestamp: start, samples: items.length };
+      readingColumns.forEach((column) => {
+        const values = items.map(column.value).filter((v) => v !== null);
+        row[column.key] = values.length
+          ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(column.digits))
+          : null;
+      });
+      return row;
+    }),
+  };
+}
+
+/**
+ * Reading columns from the metric registry. The water level is exported raw plus every
+ * unit the tank's calibration converts it to (the conversion is linear, so averages agree)
+ */
+function getExportReadingColumns() {
+  const calibration = getWaterLevelCalibration();
+
+  return SENSOR_METRICS.flatMap((metric) => {
+    const value = (r) => parseReadingValue(r, metric.field);
+    const column = {
+      key: metric.field,
+      header: metric.calibrated ? `${metric.label} (raw)` : getMetricTitle(metric),
+      digits: metric.precision + 1,
+      value,
+    };
+    if (!metric.calibrated) return [column];
+
+    return [
+      column,
+      ...calibration.units.map((unit) => ({
+        key: `${metric.field}_${unit.key}`,
+        header: unit.title,
+        digits: unit.precision + 1,
+        value: (r) => {
+          const raw = value(r);
+          return raw === null ? null : convertWaterLevel(raw, calibration)[unit.key];
+        },
+      })),
+    ];
+  });
+}
+
+/**
+ * Feeding history as export columns; resampled rows count feedings and total the grams fed
+ */
+function buildFeedingExport(events, resample) {
+  const feedTime = (event) => event.feedtime || event.timestamp || event.created_at;
+  const quantity = (event) => parseFloat(event.feed_quantity_g ?? event.quantity_grams ?? event.quantity);
+
+  if (resample === "raw") {
+    return {
+      name: "feedings",
+      columns: [
+        { key: "feedtime", header: "Feed Time (SGT)", time: true },
+        { key: "scheduled_at", header: "Scheduled At (SGT)", time: true },
+        { key: "feed_quantity_g", header: "Quantity (g)" },
+        { key: "status", header: "Status" },
+        { key: "predicted_ammonia", header: "Predicted Ammonia (ppm)" },
+        { key: "prediction_status", header: "Prediction Status" },
+        { key: "override_reason", header: "Override Reason" },
+        { key: "plan_id", header: "Feeding Plan" },
+      ],
+      rows: events.map((event) => ({
+        feedtime: normalizeIsoForSG(feedTime(event)),
+        scheduled_at: normalizeIsoForSG(event.timestamp),
+        feed_quantity_g: Number.isFinite(quantity(event)) ? quantity(event) : null,
+        status: event.status || "success",
+        predicted_ammonia: event.predicted_ammonia ?? null,
+        prediction_status: event.prediction_status || "",
+        override_reason: event.override_reason || "",
+        plan_id: event.plan_id || "",
+      })),
+    };
+  }
+
+  return {
+    name: "feedings",
+    columns: [
+      { key: "period", header: `${EXPORT_RESAMPLE[resample].label} Period Start (SGT)`, time: true },
+      { key: "feedings", header: "Feedings" },
+      { key: "fed_g", header: "Fed (g)" },
+      { key: "failed", header: "Failed" },
+    ],
+    rows: groupByExportPeriod(events, feedTime, resample).map(({ start, items }) => {
+      const failed = items.filter((event) => (event.status || "").toLowerCase() === "failed");
+      const fed = items
+        .filter((event) => !failed.includes(event))
+        .reduce((sum, event) => sum + (Number.isFinite(quantity(event)) ? quantity(event) : 0), 0);
+      return { period: start, feedings: items.length, fed_g: Number(fed.toFixed(1)), failed: failed.length };
+    }),
+  };
+}
+
+/**
+ * Bucket items by Singapore hour/day, oldest first; start is the bucket's ISO start (+08:00)
+ */
+function groupByExportPeriod(items, getTime, resample) {
+  const { keyLength, startSuffix } = EXPORT_RESAMPLE[resample];
+  const buckets = {};
+
+  items.forEach((item) => {
+    const local = formatSGSeconds(getTime(item));
+    if (!local) return;
+    const key = local.slice(0, keyLength);
+    (buckets[key] = buckets[key] || []).push(item);
+  });
+
+  return Object.keys(buckets)
+    .sort()
+    .map((key) => ({ start: `${(key + startSuffix).replace(" ", "T")}+08:00`, items: buckets[key] }));
+}
+
+/**
+ * Feeding events (not pending) whose feed time is in the range, oldest first
+ * @returns {Promise<Object>} { events, complete } - complete is false when EXPORT_FEEDING_MAX_PAGES
+ *   pages left more unread (the events are then the most recently posted ones)
+ */
+async function loadFeedingExportEvents(tankId, range) {
+  // Same query as loadFeedingMarkers: keyed by post time, so look back for feeds scheduled in advance
+  const params = new URLSearchParams({
+    tank_id: tankId,
+    start_ts: `${toApiIso(new Date(range.start.getTime() - FEEDING_MARKER_LOOKBACK_MS))}+00:00`,
+    end_ts: `${toApiIso(range.end)}+00:00`,
+    exclude_status: "pending",
+  });
+  const { items, complete } = await fetchAllFeedingEvents(params, EXPORT_FEEDING_MAX_PAGES);
+  const feedTimeMs = (event) => new Date(normalizeIsoForSG(event.feedtime || event.timestamp)).getTime();
+
+  const events = items
+    .filter((event) => (event.status || "").toLowerCase() !== "pending")
+    .filter((event) => feedTimeMs(event) >= range.start.getTime() && feedTimeMs(event) <= range.end.getTime())
+    .sort((a, b) => feedTimeMs(a) - feedTimeMs(b));
+  return { events, complete };
+}
+
+/**
+ * csv/json: ISO 8601 with the +08:00 offset; excel: "YYYY-MM-DD HH:mm:ss" (Singapore time),
+ * which Excel reads as a date-time
+ */
+function formatExportTimestamp(isoString, format) {
+  const local = formatSGSeconds(isoString);
+  if (!local) return "";
+  return format === "excel" ? local : `${local.replace(" ", "T")}+08:00`;
+}
+
+function toCsvField(value, format) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+
+  // Excel runs cells starting with these as formulas
+  if (format === "excel" && typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the file and download it. excel is CSV with a UTF-8 BOM (so "°C" survives) and CRLF lines.
+ */
+function downloadExport(basename, format, table, meta) {
+  const rows = table.rows.map((row) => {
+    const formatted = { ...row };
+    table.columns
+      .filter((column) => column.time)
+      .forEach((column) => {
+        formatted[column.key] = formatExportTimestamp(row[column.key], format);
+      });
+    return formatted;
+  });
+
+  let content;
+  let type;
+  if (format === "json") {
+    const units = {};
+    table.columns.forEach((column) => {
+      units[column.key] = column.header;
+    });
+    content = JSON.stringify({ ...meta, columns: units, rows }, null, 2);
+    type = "application/json";
+  } else {
+    const newline = format === "excel" ? "\r\n" : "\n";
+    const lines = [
+      table.columns.map((column) => toCsvField(column.header, format)).join(","),
+      ...rows.map((row) => table.columns.map((column) => toCsvField(row[column.key], format)).join(",")),
+    ];
+    content = (format === "excel" ? "\uFEFF" : "") + lines.join(newline) + newline;
+    type = "text/csv;charset=utf-8";
+  }
+
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${basename}.${format === "json" ? "json" : "csv"}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Ammonia Prediction Functions
+ */
+
+/**
+ * Fetch ammonia prediction from API
+ * @param {Object} payload - Prediction payload
+ * @returns {Promise<number>} Predicted ammonia value
+ */
+async function predictAmmonia(payload) {
+  const { prediction } = await runAmmoniaPrediction(payload);
+  return prediction;
+}
+
+/**
+ * Raw model output plus the correction applied to it (what the prediction log records)
+ * @param {Object} payload - Prediction payload
+ * @returns {Promise<Object>} { raw, prediction, correction }
+ */
+async function runAmmoniaPrediction(payload) {
+  const rawPrediction = await predictAmmoniaRaw(payload);
+  const correction = resolvePredictionCorrection();
+  const strategy = PREDICTION_CORRECTIONS[correction.name];
+
+  const correctedPrediction = Math.max(0, strategy.apply(rawPrediction, correction.params, payload.feed_quantity_g));
+
+  console.log(`📊 Prediction: raw=${rawPrediction.toFixed(3)}, correction=${correction.name}, corrected=${correctedPrediction.toFixed(3)}`);
+
+  return { raw: rawPrediction, prediction: correctedPrediction, correction: correction.name };
+}
+
+/**
+ * Record a prediction in the prediction log (accuracy page). Best effort - never blocks the caller.
+ * @param {string} source - "manual" (Predict button) or "scheduler" (feed scheduled)
+ * @param {Object} payload - Prediction payload (the model inputs)
+ * @param {Object} result - runAmmoniaPrediction() result
+ * @param {string} targetDate - Singapore day (YYYY-MM-DD) whose end-of-day ammonia was predicted
+ */
+function recordPrediction(source, payload, result, targetDate) {
+  if (!navigator.onLine) return;
+
+  fetch(`${API_BASE}/predictions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      tank_id: currentTankId,
+      source,
+      target_date: targetDate,
+      ...getPredictionRecord(payload, result),
+    }),
+  })
+    .then((response) => {
+      if (!response.ok) throw new Error(`Prediction log API error: ${response.status}`);
+      console.log(`📝 Prediction recorded (${source}, ${targetDate})`);
+    })
+    .catch((error) => console.warn("⚠️ Failed to record prediction:", error));
+}
+
+/**
+ * Prediction log fields of a runAmmoniaPrediction() result (feeding plans send these along,
+ * and AquaScope_FeedingPlansAPI logs them for each day the plan feeds)
+ */
+function getPredictionRecord(payload, result) {
+  return {
+    inputs: payload,
+    raw_prediction: Number(result.raw.toFixed(4)),
+    prediction: Number(result.prediction.toFixed(4)),
+    correction: result.correction,
+  };
+}
+
+/**
+ * Uncorrected model output from the prediction API
+ * @param {Object} payload - Prediction payload
+ * @returns {Promise<number>} Raw predicted ammonia
+ */
+async function predictAmmoniaRaw(payload) {
+  try {
+    const response = await fetch(AMMONIA_PREDICTION_API, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API error ${response.status}: ${errorText}`);
+    }
+
+    const data = await response.json();
+    return parseFloat(data.prediction_ammonia) || 0;
+  } catch (error) {
+    console.error("❌ Ammonia prediction API failed:", error);
+    throw error;
+  }
+}
+
+/**
+ * The original hand-tuned correction: 0.5 at <= 1g down to 0.01 at >= 10g
+ */
+function getLegacyCorrection(feedQty) {
+  const feedAmount = feedQty || 1;
+
+  if (feedAmount <= 1) return 0.5;
+  if (feedAmount >= 10) return 0.01;
+  return 0.5 - ((feedAmount - 1) / 9) * 0.4;
+}
+
+/**
+ * Load the fitted correction parameters for the selected tank (none until the first daily calibration)
+ */
+async function loadPredictionCalibration() {
+  try {
+    const response = await fetch(`${API_BASE}/prediction-calibration?tank_id=${encodeURIComponent(currentTankId)}`);
+
+    if (response.status === 404) {
+      predictionCalibration = null;
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Prediction calibration API error: ${response.status}`);
+    }
+
+    noteApiResponse(response);
+    predictionCalibration = await response.json();
+    console.log(`🎯 Prediction calibration loaded (best: ${predictionCalibration.best}, ${predictionCalibration.samples} days)`);
+  } catch (error) {
+    console.warn("⚠️ Prediction calibration unavailable - using hand-tuned correction:", error);
+    predictionCalibration = null;
+  }
+}
+
+/**
+ * Correction to apply: the tank's prediction_correction setting, where "auto" picks the
+ * calibrated strategy with the lowest error. Falls back to legacy while uncalibrated.
+ * @returns {Object} { name, params, mae (null when not calibrated) }
+ */
+function resolvePredictionCorrection() {
+  const setting = (window.currentProfile || {}).prediction_correction || PREDICTION_CORRECTION_AUTO;
+  const calibrated = (predictionCalibration && predictionCalibration.strategies) || {};
+
+  let name = setting === PREDICTION_CORRECTION_AUTO ? predictionCalibration?.best : setting;
+  if (!PREDICTION_CORRECTIONS[name] || (PREDICTION_CORRECTIONS[name].fitted && !calibrated[name])) {
+    name = "legacy";
+  }
+
+  return {
+    name,
+    params: calibrated[name]?.params || {},
+    mae: calibrated[name]?.mae ?? null,
+  };
+}
+
+/**
+ * "Calibrated offset (MAE 0.031 ppm, 14 days)" for the prediction notes
+ */
+function describePredictionCorrection() {
+  const correction = resolvePredictionCorrection();
+  const label = PREDICTION_CORRECTIONS[correction.name].label;
+
+  return correction.mae === null
+    ? label
+    : `${label} (MAE ${correction.mae.toFixed(3)} ppm, ${predictionCalibration.samples} days)`;
+}
+
+/**
+ * Get ammonia status and CSS class based on predicted value
+ * @param {number} prediction - Predicted ammonia level (mg/L)
+ * @returns {Object} { status, className }
+ */
+function getAmmoniaStatus(prediction) {
+  if (prediction < AMMONIA_STATUS_THRESHOLDS.healthy) {
+    return {
+      status: "Healthy range",
+      className: "healthy",
+    };
+  } else if (prediction < AMMONIA_STATUS_THRESHOLDS.warning) {
+    return {
+      status: "Elevated — monitor closely",
+      className: "warning",
+    };
+  } else {
+    return {
+      status: "Very high — toxic risk to fish",
+      className: "danger",
+    };
+  }
+}
+
+/**
+ * /predict payload for a feed quantity
+ * @param {Object} profile - Tank profile (window.currentProfile)
+ * @param {number} feedQty - Feed quantity (g)
+ */
+function buildPredictionPayload(profile, feedQty) {
+  const tankVolume = profile.tank_volume_liters ?? profile.volume ?? 0;
+
+  return {
+    tank_volume_liters: parseInt(tankVolume, 10),
+    fish_small: parseInt(profile.fish_small ?? profile.fish_count?.small ?? 0, 10),
+    fish_medium: parseInt(profile.fish_medium ?? profile.fish_count?.medium ?? 0, 10),
+    fish_large: parseInt(profile.fish_large ?? profile.fish_count?.large ?? 0, 10),
+    fish_xlarge: parseInt(profile.fish_xlarge ?? profile.fish_count?.extra_large ?? 0, 10),
+    feed_quantity_g: feedQty,
+  };
+}
+
+/**
+ * Show a prediction in the End-of-Day Ammonia panel
+ * @param {number} prediction - Predicted ammonia (ppm)
+ * @param {number} feedQty - Feed quantity the prediction is for (g)
+ * @returns {Object} getAmmoniaStatus() result
+ */
+function showAmmoniaPrediction(prediction, feedQty) {
+  const ammoniaStatus = getAmmoniaStatus(prediction);
+  const { status, className } = ammoniaStatus;
+
+  const basisEl = document.getElementById("predictionBasis");
+  if (basisEl) {
+    basisEl.textContent = `For ${feedQty}g · ${describePredictionCorrection()}`;
+  }
+
+  const predictedAmmoniaEl = document.getElementById("predictedAmmonia");
+  const predictionStatusEl = document.getElementById("predictionStatus");
+
+  if (predictedAmmoniaEl) {
+    predictedAmmoniaEl.textContent = prediction.toFixed(3);
+  }
+
+  if (predictionStatusEl) {
+    // Update status text
+    const statusTextEl = predictionStatusEl.querySelector(".status-text");
+    if (statusTextEl) {
+      statusTextEl.textContent = status;
+    }
+
+    // Update status indicator with appropriate class
+    const statusIndicatorEl = predictionStatusEl.querySelector(".status-indicator");
+    if (statusIndicatorEl) {
+      statusIndicatorEl.className = `status-indicator ${className}`;
+    }
+
+    // Apply status class to the parent for styling
+    predictionStatusEl.className = `prediction-status ${className}`;
+  }
+
+  return ammoniaStatus;
+}
+
+/**
+ * Click handler for "Predict End-of-Day Ammonia" button
+ */
+async function onPredictAmmoniaClick() {
+  const btn = document.getElementById("predictAmmoniaBtn");
+  const profile = window.currentProfile || {};
+  const feederQtyInput = document.getElementById("feederQty");
+
+  // Validate prerequisites
+  if (!profile.tank_volume_liters && !profile.volume) {
+    alert("❌ Tank profile not loaded. Please refresh the page.");
+    return;
+  }
+
+  if (!feederQtyInput || !feederQtyInput.value) {
+    alert("⚠️ Please enter a feeding quantity first to make a prediction.");
+    return;
+  }
+
+  // Disable button and show loading state
+  btn.disabled = true;
+  btn.textContent = "Predicting…";
+  btn.classList.add("loading");
+
+  try {
+    // Build payload from existing form data and tank profile
+    const payload = buildPredictionPayload(profile, parseFloat(feederQtyInput.value));
+
+    console.log("📤 Sending ammonia prediction payload:", payload);
+
+    // Call the prediction API
+    const result = await runAmmoniaPrediction(payload);
+    const prediction = result.prediction;
+    const { status } = showAmmoniaPrediction(prediction, payload.feed_quantity_g);
+
+    // A manual check is a prediction for today's end of day
+    recordPrediction("manual", payload, result, formatSGForInput(new Date().toISOString()).slice(0, 10));
+
+    console.log(`✅ Ammonia prediction: ${prediction.toFixed(3)} ppm - ${status}`);
+  } catch (error) {
+    console.error("❌ Prediction failed:", error);
+    alert(`❌ Prediction failed: ${error.message}`);
+
+    // Reset UI to show error state
+    const predictedAmmoniaEl = document.getElementById("predictedAmmonia");
+    const predictionStatusEl = document.getElementById("predictionStatus");
+
+    if (predictedAmmoniaEl) {
+      predictedAmmoniaEl.textContent = "Error";
+    }
+
+    if (predictionStatusEl) {
+      const statusTextEl = predictionStatusEl.querySelector(".status-text");
+      if (statusTextEl) {
+        statusTextEl.textContent = "Prediction failed";
+      }
+      const statusIndicatorEl = predictionStatusEl.querySelector(".status-indicator");
+      if (statusIndicatorEl) {
+        statusIndicatorEl.className = "status-indicator danger";
+      }
+      predictionStatusEl.className = "prediction-status danger";
+    }
+  } finally {
+    // Re-enable button and restore label
+    btn.disabled = false;
+    btn.textContent = "Predict End-of-Day Ammonia";
+    btn.classList.remove("loading");
+  }
+}
+
+/**
+ * Recommended feed quantity
+ */
+
+/**
+ * Predicted end-of-day ammonia for every quantity from 0 to RECOMMEND_MAX_QTY_G, a few requests at a time.
+ * A quantity whose prediction fails is left out rather than failing the whole curve.
+ * @returns {Promise<Object>} { curve: [{ qty, prediction }] in ascending quantity, failed: quantities left out }
+ */
+async function predictAmmoniaCurve(profile) {
+  const quantities = [];
+  for (let qty = 0; qty <= RECOMMEND_MAX_QTY_G; qty += RECOMMEND_QTY_STEP_G) {
+    quantities.push(qty);
+  }
+
+  const predictions = new Array(quantities.length).fill(null);
+  let next = 0;
+  const worker = async () => {
+    while (next < quantities.length) {
+      const index = next++;
+      try {
+        predictions[index] = await predictAmmonia(buildPredictionPayload(profile, quantities[index]));
+      } catch (error) {
+        console.warn(`⚠️ Prediction for ${quantities[index]}g failed:`, error);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(RECOMMEND_CONCURRENCY, quantities.length) }, worker));
+
+  const curve = quantities
+    .map((qty, index) => ({ qty, prediction: predictions[index] }))
+    .filter((point) => point.prediction !== null);
+  if (curve.length === 0) {
+    throw new Error("No predictions available");
+  }
+
+  return { curve, failed: quantities.filter((qty, index) => predictions[index] === null) };
+}
+
+/**
+ * Largest quantity that, like every smaller one, is predicted below the healthy threshold.
+ * The model is not guaranteed to be monotonic, so a healthy point past an unhealthy or missing one is not trusted.
+ * @returns {number|null} null when even 0g is not healthy (or could not be predicted)
+ */
+function findRecommendedQuantity(curve) {
+  let recommended = null;
+  let expectedQty = 0;
+
+  for (const point of curve) {
+    if (point.qty !== expectedQty || point.prediction >= AMMONIA_STATUS_THRESHOLDS.healthy) break;
+    recommended = point.qty;
+    expectedQty += RECOMMEND_QTY_STEP_G;
+  }
+
+  return recommended;
+}
+
+/**
+ * Click handler for "Recommend Amount": plot the curve and fill in the feeder quantity
+ */
+async function onRecommendAmountClick() {
+  const btn = document.getElementById("recommendAmountBtn");
+  const noteEl = document.getElementById("recommendNote");
+  const profile = window.currentProfile || {};
+
+  if (!profile.tank_volume_liters && !profile.volume) {
+    alert("❌ Tank profile not loaded. Please refresh the page.");
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = "Calculating…";
+  btn.classList.add("loading");
+
+  try {
+    const { curve, failed } = await predictAmmoniaCurve(profile);
+    const recommended = findRecommendedQuantity(curve);
+    const failedNote = failed.length > 0 ? ` (${failed.length} of ${failed.length + curve.length} quantities could not be predicted)` : "";
+
+    document.getElementById("recommendCurve").classList.add("show");
+    renderRecommendationChart(curve, recommended);
+
+    if (recommended === null) {
+      noteEl.textContent =
+        curve[0].qty === 0
+          ? `Even without feeding, ammonia is predicted at ${curve[0].prediction.toFixed(3)} ppm - consider skipping today's feed.${failedNote}`
+          : `No recommendation - the 0g prediction failed${failedNote}.`;
+      console.log("⚠️ No healthy feed quantity found");
+      return;
+    }
+
+    const feederQtyInput = document.getElementById("feederQty");
+    if (feederQtyInput) {
+      feederQtyInput.value = recommended;
+      // Same inline check as a manual change
+      feederQtyInput.dispatchEvent(new Event("change"));
+    }
+
+    noteEl.textContent = `Up to ${recommended}g keeps predicted ammonia below ${AMMONIA_STATUS_THRESHOLDS.healthy} ppm.${failedNote}`;
+    console.log(`✅ Recommended feed quantity: ${recommended}g`);
+  } catch (error) {
+    console.error("❌ Recommendation failed:", error);
+    document.getElementById("recommendCurve").classList.add("show");
+    noteEl.textContent = `❌ Recommendation failed: ${error.message}`;
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="fas fa-magic"></i> Recommend Amount';
+    btn.classList.remove("loading");
+  }
+}
+
+/**
+ * Prediction curve across quantities with the status thresholds and the recommended quantity
+ */
+function renderRecommendationChart(curve, recommended) {
+  const canvas = document.getElementById("recommendChart");
+  if (!canvas || typeof Chart === "undefined") return;
+
+  if (charts.recommendChart) {
+    charts.recommendChart.destroy();
+  }
+
+  const thresholdLine = (value, text, color) => ({
+    type: "line",
+    yMin: value,
+    yMax: value,
+    borderColor: color,
+    borderWidth: 1,
+    borderDash: [6, 4],
+    label: { display: true, content: `${text} ${value}`, position: "start", font: { size: 10 }, padding: 3 },
+  });
+
+  const annotations = {
+    healthyLine: thresholdLine(AMMONIA_STATUS_THRESHOLDS.healthy, "healthy <", "#28a745"),
+    warningLine: thresholdLine(AMMONIA_STATUS_THRESHOLDS.warning, "danger ≥", THRESHOLD_STYLE.limitLine),
+  };
+  if (recommended !== null) {
+    annotations.recommendedLine = {
+      type: "line",
+      xMin: recommended,
+      xMax: recommended,
+      borderColor: CHART_COLORS.ammonia,
+      borderWidth: 2,
+      label: { display: true, content: `${recommended}g`, position: "end", font: { size: 10 }, padding: 3 },
+    };
+  }
+
+  charts.recommendChart = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: "Predicted ammonia (ppm)",
+          data: curve.map((point) => ({ x: point.qty, y: point.prediction })),
+          borderColor: CHART_COLORS.ammonia,
+          backgroundColor: CHART_COLORS.ammonia + "20",
+          borderWidth: 2,
+          fill: true,
+          tension: 0.1,
+          pointRadius: 2,
+          pointBackgroundColor: curve.map((point) =>
+            point.prediction >= AMMONIA_STATUS_THRESHOLDS.healthy ? THRESHOLD_STYLE.breach : CHART_COLORS.ammonia
+          ),
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        annotation: { annotations },
+      },
+      scales: {
+        x: { type: "linear", min: 0, max: RECOMMEND_MAX_QTY_G, title: { display: true, text: "Feed quantity (g)" } },
+        y: { beginAtZero: true, title: { display: true, text: "ppm" } },
+      },
+      interaction: { intersect: false, mode: "index" },
+    },
+  });
+}
+
+/**
+ * Save tank settings via API
+ */
+async function saveSettings(event) {
+  event.preventDefault();
+
+  const volumeInput = document.getElementById("volumeInput");
+  const levelInput = document.getElementById("targetLevelInput");
+  const fishSmallInput = document.getElementById("fishSmallInput");
+  const fishMediumInput = document.getElementById("fishMediumInput");
+  const fishLargeInput = document.getElementById("fishLargeInput");
+  const fishExtraLargeInput = document.getElementById("fishExtraLargeInput");
+
+  if (!volumeInput || !levelInput || !fishSmallInput || !fishMediumInput || !fishLargeInput || !fishExtraLargeInput) {
+    console.warn("⚠️ Settings form inputs not found on this page.");
+    return;
+  }
+
+  const thresholdSettings = readThresholdInputs();
+  if (!thresholdSettings) {
+    showSettingsMessage("Each threshold minimum must be below its maximum.", "error");
+    return;
+  }
+
+  const waterLevelSensor = readWaterLevelSensorInputs();
+  if (!waterLevelSensor) {
+    showSettingsMessage("Distance empty must be greater than distance full.", "error");
+    return;
+  }
+
+  const settings = {
+    tank_id: currentTankId,
+    tank_volume_liters: parseInt(volumeInput.value, 10),
+    appropriate_water_level: parseInt(levelInput.value, 10),
+    fish_small: parseInt(fishSmallInput.value, 10),
+    fish_medium: parseInt(fishMediumInput.value, 10),
+    fish_large: parseInt(fishLargeInput.value, 10),
+    fish_xlarge: parseInt(fishExtraLargeInput.value, 10),
+    alert_thresholds: thresholdSettings,
+    water_level_sensor: waterLevelSensor,
+    tank_dimensions_cm: readTankDimensionInputs(),
+    offline_after_minutes: readOfflineAfterInput(),
+    prediction_correction: readPredictionCorrectionInput(),
+    updated_at: new Date().toISOString(),
+  };
+
+  try {
+    const response = await fetch(`${API_BASE}/tank-profile`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Settings API error: ${response.status}`);
+    }
+
+    updateTankDisplay({
+      tank_volume_liters: settings.tank_volume_liters,
+      appropriate_water_level: settings.appropriate_water_level,
+      fish_small: settings.fish_small,
+      fish_medium: settings.fish_medium,
+      fish_large: settings.fish_large,
+      fish_xlarge: settings.fish_xlarge,
+      alert_thresholds: settings.alert_thresholds,
+      water_level_sensor: settings.water_level_sensor,
+      tank_dimensions_cm: settings.tank_dimensions_cm,
+      offline_after_minutes: settings.offline_after_minutes,
+      prediction_correction: settings.prediction_correction,
+    });
+
+    // Fish counts and the correction are prediction inputs
+    updatePredictionPanel();
+
+    // Re-check alerts (and chart bands) against the new thresholds
+    if (currentReadings.length > 0) {
+      updateAlerts(currentReadings);
+      if (currentPage === "monitoring") updateCharts(currentReadings);
+    }
+
+    showSettingsMessage("Settings saved successfully!", "success");
+    setTimeout(closeSettingsModal, 2000);
+
+    console.log("✅ Tank settings saved successfully");
+  } catch (error) {
+    console.error("❌ Failed to save settings:", error);
+    showSettingsMessage("Failed to save settings. Please try again.", "error");
+  }
+}
+
+/**
+ * Read threshold inputs into { key: { min, max } }; blank inputs keep the defaults
+ * @returns {Object|null} Thresholds, or null when a minimum is not below its maximum
+ */
+function readThresholdInputs() {
+  const thresholds = {};
+
+  THRESHOLD_INPUTS.forEach(({ key, bound, inputId }) => {
+    const input = document.getElementById(inputId);
+    const value = input ? parseFloat(input.value) : NaN;
+    if (Number.isNaN(value)) return;
+    thresholds[key] = { ...thresholds[key], [bound]: value };
+  });
+
+  const invalid = Object.values(thresholds).some(
+    (range) => range.min !== undefined && range.max !== undefined && range.min >= range.max
+  );
+
+  return invalid ? null : thresholds;
+}
+
+/**
+ * Water level sensor type and ultrasonic calibration; blank distances are left out
+ * @returns {Object|null} { type, empty_distance_cm, full_distance_cm }, or null when empty is not above full
+ */
+function readWaterLevelSensorInputs() {
+  const typeInput = document.getElementById("waterLevelSensorInput");
+  const sensor = { type: typeInput && typeInput.value ? typeInput.value : DEFAULT_WATER_LEVEL_SENSOR };
+
+  [
+    ["empty_distance_cm", "emptyDistanceInput"],
+    ["full_distance_cm", "fullDistanceInput"],
+  ].forEach(([field, inputId]) => {
+    const input = document.getElementById(inputId);
+    const value = input ? parseFloat(input.value) : NaN;
+    if (value > 0) sensor[field] = value;
+  });
+
+  const invalid =
+    sensor.type === "ultrasonic" &&
+    sensor.empty_distance_cm !== undefined &&
+    sensor.full_distance_cm !== undefined &&
+    sensor.empty_distance_cm <= sensor.full_distance_cm;
+
+  return invalid ? null : sensor;
+}
+
+/**
+ * Tank length/width/height in cm; blank inputs are left out
+ */
+function readTankDimensionInputs() {
+  const dimensions = {};
+
+  [
+    ["length", "tankLengthInput"],
+    ["width", "tankWidthInput"],
+    ["height", "tankHeightInput"],
+  ].forEach(([field, inputId]) => {
+    const input = document.getElementById(inputId);
+    const value = input ? parseFloat(input.value) : NaN;
+    if (value > 0) dimensions[field] = value;
+  });
+
+  return dimensions;
+}
+
+/**
+ * Offline warning delay in minutes (falls back to the default when blank/invalid)
+ */
+function readOfflineAfterInput() {
+  const input = document.getElementById("offlineAfterInput");
+  const minutes = input ? parseInt(input.value, 10) : NaN;
+  return minutes > 0 ? minutes : DEFAULT_OFFLINE_AFTER_MINUTES;
+}
+
+/**
+ * Prediction correction choices, with each calibrated strategy's error
+ */
+function renderPredictionCorrectionOptions(selected) {
+  const select = document.getElementById("predictionCorrectionInput");
+  if (!select) return;
+
+  const calibrated = (predictionCalibration && predictionCalibration.strategies) || {};
+  const options = [{ value: PREDICTION_CORRECTION_AUTO, label: "Auto (lowest calibrated error)" }].concat(
+    Object.entries(PREDICTION_CORRECTIONS).map(([name, strategy]) => ({
+      value: name,
+      label: calibrated[name] ? `${strategy.label} - MAE ${calibrated[name].mae.toFixed(3)} ppm` : strategy.label,
+      disabled: strategy.fitted && !calibrated[name],
+    }))
+  );
+
+  select.innerHTML = options
+    .map((option) => `<option value="${option.value}"${option.disabled ? " disabled" : ""}>${escapeHtml(option.label)}</option>`)
+    .join("");
+  select.value = selected;
+
+  const noteEl = document.getElementById("predictionCalibrationNote");
+  if (noteEl) {
+    noteEl.textContent = predictionCalibration
+      ? `Calibrated ${formatSG(predictionCalibration.fitted_at)} against ${predictionCalibration.samples} daily summaries (${predictionCalibration.from_date} to ${predictionCalibration.to_date}). Currently using: ${describePredictionCorrection()}.`
+      : "Not calibrated yet - the hand-tuned offset is used until daily summaries are available.";
+  }
+}
+
+function readPredictionCorrectionInput() {
+  const select = document.getElementById("predictionCorrectionInput");
+  return select && select.value ? select.value : PREDICTION_CORRECTION_AUTO;
+}
+
+function showSettingsMessage(text, type) {
+  const message = document.getElementById("settingsMessage");
+  if (!message) return;
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+/**
+ * Prediction panel - current end-of-day prediction (overview and feeding pages)
+ */
+async function updatePredictionPanel() {
+  const predictedEl = document.getElementById("predictedAmmonia");
+  const profile = window.currentProfile || {};
+  if (!predictedEl || (!profile.tank_volume_liters && !profile.volume)) return;
+
+  try {
+    const { prediction, feedQty } = await getPredictedAmmonia();
+    showAmmoniaPrediction(prediction, feedQty);
+
+    const basisEl = document.getElementById("predictionBasis");
+    if (basisEl) {
+      basisEl.textContent = `Today's feeding: ${feedQty}g · ${describePredictionCorrection()}`;
+    }
+  } catch (error) {
+    console.error("❌ Failed to update prediction panel:", error);
+    predictedEl.textContent = "--";
+
+    const statusTextEl = document.querySelector("#predictionStatus .status-text");
+    if (statusTextEl) statusTextEl.textContent = "Prediction unavailable";
+  }
+}
+
+/**
+ * Current end-of-day prediction for the selected tank, from today's feeding
+ * @returns {Promise<Object>} { prediction, feedQty }
+ */
+async function getPredictedAmmonia() {
+  const feedQty = await getTodayFeedQuantity();
+  const prediction = await predictAmmonia(buildPredictionPayload(window.currentProfile || {}, feedQty));
+  return { prediction, feedQty };
+}
+
+/**
+ * Quantity of today's last feeding (Singapore day; done or still pending, not failed), 0 when none.
+ * The same feature aquascope_generate_daily_summary records for the day.
+ */
+async function getTodayFeedQuantity() {
+  const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
+  const { items, complete } = await fetchAllFeedingEvents(
+    {
+      tank_id: currentTankId,
+      exclude_status: "failed",
+      feed_from: `${today}T00:00:00+08:00`,
+      feed_to: `${today}T23:59:59+08:00`,
+    },
+    TODAY_FEEDINGS_MAX_PAGES
+  );
+  if (!complete) {
+    console.warn(`⚠️ Today's feedings exceed ${TODAY_FEEDINGS_MAX_PAGES} pages - using the ones read`);
+  }
+
+  const todays = items
+    .filter((event) => formatSGForInput(event.feedtime || event.timestamp).slice(0, 10) === today)
+    .sort((a, b) => new Date(normalizeIsoForSG(a.feedtime || a.timestamp)) - new Date(normalizeIsoForSG(b.feedtime || b.timestamp)));
+
+  const last = todays[todays.length - 1];
+  return last ? parseFloat(last.feed_quantity_g) || 0 : 0;
+}
+
+/**
+ * Prefill the feeding history date filters with the default window and bind the totals grouping
+ */
+function setupFeedingHistoryFilters() {
+  const fromInput = document.getElementById("feedingFromDate");
+  const toInput = document.getElementById("feedingToDate");
+
+  if (fromInput && toInput && !fromInput.value && !toInput.value) {
+    const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
+    fromInput.value = shiftDate(today, -(FEEDING_HISTORY_DAYS - 1));
+    toInput.value = today;
+  }
+
+  const groupSelect = document.getElementById("feedingTotalsGroup");
+  if (groupSelect && !groupSelect.dataset.bound) {
+    groupSelect.addEventListener("change", renderFeedingTotals);
+    groupSelect.dataset.bound = "true";
+  }
+}
+
+/**
+ * Feeding history filters as /feeding-events query params (dates are Singapore days, by feed time)
+ */
+function getFeedingHistoryQuery() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value.trim() : "";
+  };
+
+  const params = new URLSearchParams({ tank_id: currentTankId, exclude_status: "pending" });
+  const status = value("feedingStatusFilter");
+  if (status && status !== "all") params.set("status", status);
+  if (value("feedingFromDate")) params.set("feed_from", `${value("feedingFromDate")}T00:00:00+08:00`);
+  if (value("feedingToDate")) params.set("feed_to", `${value("feedingToDate")}T23:59:59+08:00`);
+  if (value("feedingMinQty")) params.set("min_qty", value("feedingMinQty"));
+  if (value("feedingMaxQty")) params.set("max_qty", value("feedingMaxQty"));
+  return params;
+}
+
+/**
+ * One page of /feeding-events (newest posted first)
+ * @returns {Promise<Object>} { items, nextToken } - nextToken is null on the last page
+ */
+async function fetchFeedingEventsPage(params, limit, cursor) {
+  const query = new URLSearchParams(params);
+  query.set("limit", String(limit));
+  if (cursor) query.set("next_token", cursor);
+
+  const response = await fetch(`${API_BASE}/feeding-events?${query.toString()}`);
+  if (!response.ok) {
+    throw new Error(`Feeding events API error: ${response.status}`);
+  }
+
+  noteApiResponse(response);
+  const data = await response.json();
+
+  // Handle both array and { items: [...] } response formats
+  return {
+    items: Array.isArray(data) ? data : (data && data.items) || [],
+    nextToken: (data && data.next_token) || null,
+  };
+}
+
+/**
+ * Follow next_token through every page, stopping after maxPages
+ * @returns {Promise<Object>} { items, complete } - complete is false when pages were left unread
+ */
+async function fetchAllFeedingEvents(params, maxPages) {
+  const items = [];
+  let cursor = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const result = await fetchFeedingEventsPage(params, FEEDING_EVENTS_MAX_LIMIT, cursor);
+    items.push(...result.items);
+    cursor = result.nextToken;
+    if (!cursor) return { items, complete: true };
+  }
+
+  return { items, complete: false };
+}
+
+/**
+ * Load the first page of feeding history for the current filters, and the totals over every match
+ */
+async function loadFeedingEvents() {
+  const query = getFeedingHistoryQuery();
+  feedingHistory = { query, events: [], cursor: null, totals: null };
+
+  const totalsLoaded = loadFeedingTotals(query);
+
+  try {
+    const page = await fetchFeedingEventsPage(query, FEEDING_HISTORY_PAGE_SIZE, null);
+    // A newer filter or refresh replaced this request
+    if (feedingHistory.query !== query) return;
+
+    appendFeedingHistoryPage(page);
+    console.log(`📋 Feeding events loaded: ${feedingHistory.events.length} event(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load feeding events:", error);
+    if (feedingHistory.query === query) {
+      renderFeedingHistory([]);
+      renderFeedingHistoryPager();
+    }
+  }
+
+  await totalsLoaded;
+}
+
+/**
+ * Next page of feeding history (same filters as the first page)
+ */
+async function loadMoreFeedingEvents() {
+  const { query, cursor } = feedingHistory;
+  if (!query || !cursor) return;
+
+  const button = document.getElementById("loadMoreFeedingBtn");
+  if (button) {
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
+  }
+
+  try {
+    const page = await fetchFeedingEventsPage(query, FEEDING_HISTORY_PAGE_SIZE, cursor);
+    if (feedingHistory.query !== query) return;
+
+    appendFeedingHistoryPage(page);
+  } catch (error) {
+    console.error("❌ Failed to load more feeding events:", error);
+    renderFeedingHistoryPager();
+  }
+}
+
+function appendFeedingHistoryPage(page) {
+  const feedTime = (event) => new Date(normalizeIsoForSG(event.feedtime || event.timestamp || event.created_at)).getTime() || 0;
+
+  // Pending feeds are listed under Pending Feedings
+  const events = feedingHistory.events.concat(
+    page.items.filter((event) => (event.status || "").toLowerCase() !== "pending")
+  );
+
+  // Pages come in post order; show by feed time, most recent first
+  events.sort((a, b) => feedTime(b) - feedTime(a));
+
+  feedingHistory.events = events;
+  feedingHistory.cursor = page.nextToken;
+  renderFeedingHistory(events);
+  renderFeedingHistoryPager();
+}
+
+function renderFeedingHistoryPager() {
+  const countEl = document.getElementById("feedingHistoryCount");
+  const button = document.getElementById("loadMoreFeedingBtn");
+  const count = feedingHistory.events.length;
+
+  if (countEl) {
+    countEl.textContent = count ? `Showing ${count} feeding(s)${feedingHistory.cursor ? "" : " - all loaded"}` : "";
+  }
+  if (button) {
+    button.hidden = !feedingHistory.cursor;
+    button.disabled = false;
+    button.innerHTML = '<i class="fas fa-chevron-down"></i> Load More';
+  }
+}
+
+/**
+ * Totals over every feeding matching the filters (not just the loaded pages)
+ */
+async function loadFeedingTotals(query) {
+  const totalsEl = document.getElementById("feedingTotals");
+  if (!totalsEl) return;
+
+  try {
+    const { items, complete } = await fetchAllFeedingEvents(query, FEEDING_TOTALS_MAX_PAGES);
+    if (feedingHistory.query !== query) return;
+
+    feedingHistory.totals = { ...summarizeFeedings(items), complete };
+    renderFeedingTotals();
+  } catch (error) {
+    console.error("❌ Failed to load feeding totals:", error);
+    if (feedingHistory.query === query) totalsEl.innerHTML = "";
+  }
+}
+
+/**
+ * Grams fed per Singapore day (by feed time) and per week (Monday start), newest first.
+ * Failed feeds dispensed nothing, so they are only counted.
+ * @returns {Object} { feedings, failed, grams, days: [{ date, feedings, grams }], weeks: [{ week, feedings, grams }] }
+ */
+function summarizeFeedings(events) {
+  const byDay = {};
+  let failed = 0;
+
+  events.forEach((event) => {
+    if (String(event.status || "").toLowerCase() === "failed") {
+      failed += 1;
+      return;
+    }
+
+    const date = formatSGForInput(event.feedtime || event.timestamp).slice(0, 10);
+    if (!date) return;
+
+    const grams = parseFloat(event.feed_quantity_g ?? event.quantity_grams ?? event.quantity);
+    const day = byDay[date] || (byDay[date] = { date, feedings: 0, grams: 0 });
+    day.feedings += 1;
+    day.grams += Number.isFinite(grams) ? grams : 0;
+  });
+
+  const days = Object.values(byDay).sort((a, b) => b.date.localeCompare(a.date));
+
+  const byWeek = {};
+  days.forEach((day) => {
+    const week = getWeekStart(day.date);
+    const entry = byWeek[week] || (byWeek[week] = { week, feedings: 0, grams: 0 });
+    entry.feedings += day.feedings;
+    entry.grams += day.grams;
+  });
+
+  return {
+    feedings: days.reduce((sum, day) => sum + day.feedings, 0),
+    failed,
+    grams: days.reduce((sum, day) => sum + day.grams, 0),
+    days,
+    weeks: Object.values(byWeek).sort((a, b) => b.week.localeCompare(a.week)),
+  };
+}
+
+/**
+ * Days the totals average over: the filter's date range (up to today), else first to last fed day
+ */
+function getFeedingTotalsSpanDays(totals) {
+  const query = feedingHistory.query;
+  const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
+  const oldest = totals.days.length ? totals.days[totals.days.length - 1].date : null;
+  const newest = totals.days.length ? totals.days[0].date : null;
+
+  const from = query && query.get("feed_from") ? query.get("feed_from").slice(0, 10) : oldest;
+  let to = query && query.get("feed_to") ? query.get("feed_to").slice(0, 10) : newest;
+  if (to && to > today) to = today;
+  if (!from || !to || from > to) return 0;
+
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+function renderFeedingTotals() {
+  const totalsEl = document.getElementById("feedingTotals");
+  const totals = feedingHistory.totals;
+  if (!totalsEl || !totals) return;
+
+  const groupSelect = document.getElementById("feedingTotalsGroup");
+  const byWeek = groupSelect && groupSelect.value === "week";
+  const spanDays = getFeedingTotalsSpanDays(totals);
+  const perDay = spanDays ? totals.grams / spanDays : null;
+  const rows = byWeek
+    ? totals.weeks.map((week) => ({ label: `Week of ${week.week}`, feedings: week.feedings, grams: week.grams }))
+    : totals.days.map((day) => ({ label: day.date, feedings: day.feedings, grams: day.grams }));
+
+  totalsEl.innerHTML = `
+    <div class="tank-info-grid alert-stats-grid">
+      <div class="info-card"><label>Total Fed</label><div class="value">${totals.grams.toFixed(1)}</div><span class="unit">g over ${totals.feedings} feeding(s)</span></div>
+      <div class="info-card"><label>Per Day</label><div class="value">${perDay !== null ? perDay.toFixed(1) : "--"}</div><span class="unit">g/day average over ${spanDays} day(s)</span></div>
+      <div class="info-card"><label>Per Week</label><div class="value">${perDay !== null ? (perDay * 7).toFixed(1) : "--"}</div><span class="unit">g/week average</span></div>
+      <div class="info-card"><label>Failed</label><div class="value">${totals.failed}</div><span class="unit">not counted as fed</span></div>
+    </div>
+    ${totals.complete ? "" : `<p class="threshold-note">Totals cover the ${totals.feedings + totals.failed} most recently posted matching feedings - loading stopped after ${FEEDING_TOTALS_MAX_PAGES} requests. Narrow the date range for complete totals.</p>`}
+    <div class="feeding-table-wrapper feeding-totals-table-wrapper">
+      <table class="feeding-table">
+        <thead>
+          <tr>
+            <th>${byWeek ? "Week" : "Day"}</th>
+            <th>Feedings</th>
+            <th>Grams Fed</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${
+            rows.length
+              ? rows.map((row) => `<tr><td>${row.label}</td><td>${row.feedings}</td><td>${row.grams.toFixed(1)}g</td></tr>`).join("")
+              : '<tr><td colspan="3" style="text-align: center;">No feedings in this range</td></tr>'
+          }
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Render feeding history table
+ */
+function renderFeedingHistory(events) {
+  const tableBody = document.getElementById("feedingTableBody");
+  if (!tableBody) return;
+
+  if (!events || events.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="4" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-calendar-times"></i>
+            <p>No feedings match these filters</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = events
+    .map((event) => {
+      // Use feedtime for display (the scheduled feed time), not timestamp (when posted)
+      const feedTimeValue = event.feedtime || event.timestamp || event.created_at;
+      const formattedFeedTime = formatSG(feedTimeValue);
+      const quantity = event.feed_quantity_g ?? event.quantity_grams ?? event.quantity ?? "N/A";
+      const tankId = event.tank_id || currentTankId;
+      const status = event.status || "success";
+      let statusClass = "success";
+      if (status === "pending") statusClass = "pending";
+      else if (status === "failed") statusClass = "failed";
+
+      return `
+        <tr>
+          <td class="timestamp">${formattedFeedTime}</td>
+          <td>${quantity}g${renderOverrideFlag(event)}</td>
+          <td>${tankId}</td>
+          <td><span class="status-badge ${statusClass}">${status}</span></td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  console.log("📊 Feeding history rendered");
+}
+
+/**
+ * Warning icon for feeds scheduled against a danger prediction (reason in the tooltip),
+ * or without a prediction at all
+ */
+function renderOverrideFlag(event) {
+  if (event.prediction_status === PREDICTION_STATUS_UNCHECKED) {
+    return ` <i class="fas fa-question-circle unchecked-flag" title="Scheduled without a prediction check (prediction unavailable)"></i>`;
+  }
+  if (!event.override_reason) return "";
+
+  const predicted = event.predicted_ammonia !== undefined ? ` (predicted ${event.predicted_ammonia} ppm)` : "";
+  return ` <i class="fas fa-exclamation-triangle override-flag" title="Override${escapeHtml(predicted)}: ${escapeHtml(event.override_reason)}"></i>`;
+}
+
+/**
+ * Refresh feeding history
+ */
+async function refreshFeedingHistory() {
+  const refreshBtn = document.getElementById("refreshFeedingBtn");
+  if (refreshBtn) {
+    refreshBtn.disabled = true;
+    refreshBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Refreshing...';
+  }
+
+  try {
+    await loadFeedingEvents();
+  } catch (error) {
+    console.error("❌ Failed to refresh feeding history:", error);
+  } finally {
+    if (refreshBtn) {
+      refreshBtn.disabled = false;
+      refreshBtn.innerHTML = '<i class="fas fa-redo"></i> Refresh';
+    }
+  }
+}
+
+/**
+ * Load pending feedings from API, plus upcoming occurrences of the feeding plans
+ */
+async function loadPendingFeedings() {
+  const plansLoaded = loadFeedingPlans();
+  let pendingEvents = [];
+
+  try {
+    // Every pending feed, however long ago it was posted
+    const params = new URLSearchParams({ tank_id: currentTankId, status: "pending" });
+    const { items } = await fetchAllFeedingEvents(params, PENDING_FEEDINGS_MAX_PAGES);
+
+    pendingEvents = items.filter((event) => (event.status || "").toLowerCase() === "pending");
+
+    console.log(`📋 Loaded ${pendingEvents.length} pending feeding(s)`);
+  } catch (error) {
+    console.error("❌ Failed to load pending feedings:", error);
+  }
+
+  await plansLoaded;
+
+  // Show changes still waiting in the offline queue on top of the server state
+  const events = applyQueuedFeedingActions(pendingEvents, currentTankId);
+  renderPendingFeedings(mergePlannedFeedings(events, feedingPlans));
+}
+
+/**
+ * Render pending feedings table
+ */
+function renderPendingFeedings(events) {
+  const tableBody = document.getElementById("pendingFeedingsTableBody");
+  if (!tableBody) return;
+
+  if (!events || events.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="4" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-calendar-check"></i>
+            <p>No pending feedings scheduled</p>
+          </div>
+        </td>
+      </tr>
+    `;
+    return;
+  }
+
+  tableBody.innerHTML = events
+    .map((event) => {
+      // Use feedtime for display (the scheduled feed time), not timestamp (when posted)
+      const feedTimeValue = event.feedtime || event.timestamp || event.created_at;
+      const formattedFeedTime = formatSG(feedTimeValue);
+      const quantity = event.feed_quantity_g ?? event.quantity_grams ?? event.quantity ?? "N/A";
+      const status = event.status || "pending";
+      const tankId = event.tank_id || currentTankId;
+      const timestampValue = event.timestamp || event.created_at || feedTimeValue;
+      const plan = event.plan_id ? feedingPlans.find((p) => p.plan_id === event.plan_id) : null;
+      const planTag = plan ? `<span class="plan-tag">${escapeHtml(plan.name)}</span>` : "";
+
+      let statusClass = "pending";
+      if (status === "success") statusClass = "success";
+      else if (status === "failed") statusClass = "failed";
+      else if (status === "queued") statusClass = "queued";
+      else if (status === "planned") statusClass = "planned";
+
+      // Encode timestamp for URL
+      const encodedTimestamp = encodeURIComponent(timestampValue);
+
+      // Not created yet - skipping the day is the only change that makes sense
+      if (status === "planned") {
+        return `
+        <tr data-timestamp="${timestampValue}" data-tank-id="${tankId}">
+          <td class="timestamp">${formattedFeedTime}${planTag}</td>
+          <td>${quantity}g</td>
+          <td><span class="status-badge ${statusClass}">${status}</span></td>
+          <td class="actions-cell">
+            <button class="btn-action btn-delete" onclick="skipFeedingPlanDate('${event.plan_id}', '${event.date}')" title="Skip this day">
+              <i class="fas fa-forward"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+      }
+
+      return `
+        <tr data-timestamp="${timestampValue}" data-tank-id="${tankId}">
+          <td class="timestamp">${formattedFeedTime}${planTag}</td>
+          <td><span id="qty-${encodedTimestamp}">${quantity}g</span>${renderOverrideFlag(event)}</td>
+          <td><span class="status-badge ${statusClass}">${status}</span></td>
+          <td class="actions-cell">
+            <button class="btn-action btn-edit" onclick="editPendingFeeding('${feedTimeValue}', '${tankId}', ${quantity}, '${timestampValue}')" title="Edit">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button class="btn-action btn-delete" onclick="deletePendingFeeding('${timestampValue}', '${tankId}')" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  console.log("📊 Pending feedings rendered");
+}
+
+/**
+ * Edit pending feeding
+ */
+function editPendingFeeding(timestamp, tankId, currentQty, originalTimestamp) {
+  // Open modal and populate with current values
+  const modal = document.getElementById("editPendingModal");
+  const timeInput = document.getElementById("editFeedingTime");
+  const qtyInput = document.getElementById("editFeedingQty");
+  const originalTimestampInput = document.getElementById("editFeedingOriginalTimestamp");
+  const tankIdInput = document.getElementById("editFeedingTankId");
+  
+  if (!modal || !timeInput || !qtyInput) return;
+  
+  // Set current values
+  timeInput.value = formatSGForInput(timestamp);
+  qtyInput.value = currentQty;
+  originalTimestampInput.value = originalTimestamp || timestamp;
+  tankIdInput.value = tankId;
+  resetFeedPredictionCheck("editFeeding");
+  
+  // Show modal
+  modal.classList.add("show");
+  
+  // Clear any previous messages
+  const messageEl = document.getElementById("editPendingMessage");
+  if (messageEl) {
+    messageEl.textContent = "";
+    messageEl.className = "message";
+  }
+}
+
+/**
+ * Close edit pending modal
+ */
+function closeEditPendingModal() {
+  const modal = document.getElementById("editPendingModal");
+  if (modal) {
+    modal.classList.remove("show");
+  }
+}
+
+/**
+ * Handle edit pending form submission
+ */
+async function handleEditPendingSubmit(event) {
+  event.preventDefault();
+  
+  const timeInput = document.getElementById("editFeedingTime");
+  const qtyInput = document.getElementById("editFeedingQty");
+  const originalTimestampInput = document.getElementById("editFeedingOriginalTimestamp");
+  const tankIdInput = document.getElementById("editFeedingTankId");
+  const submitBtn = event.target.querySelector('button[type="submit"]');
+  const messageEl = document.getElementById("editPendingMessage");
+  
+  const newDatetime = timeInput.value;
+  const qty = parseFloat(qtyInput.value);
+  const originalTimestamp = originalTimestampInput.value;
+  const tankId = tankIdInput.value;
+  
+  if (!newDatetime || isNaN(qty) || qty < 0 || qty > 10) {
+    if (messageEl) {
+      messageEl.textContent = "Please enter valid date/time and quantity (0-10g)";
+      messageEl.className = "message error";
+    }
+    return;
+  }
+  
+  // Disable button during submission
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Checking prediction...";
+  }
+  
+  try {
+    // Same prediction gate as scheduling a new feed
+    const check = await checkFeederPrediction(qty, "editFeeding");
+    const overrideReason = document.getElementById("editFeedingOverrideReason")?.value.trim() || "";
+    if (check && check.className === "danger" && !overrideReason) {
+      if (messageEl) {
+        messageEl.textContent = "⚠️ Predicted ammonia is toxic - reduce the quantity or enter an override reason";
+        messageEl.className = "message error";
+      }
+      return;
+    }
+
+    if (submitBtn) submitBtn.textContent = "Updating...";
+
+    const newTimestamp = newDatetime + ":00";
+    
+    const payload = {
+      tank_id: tankId,
+      timestamp: originalTimestamp, // Original timestamp for identification
+      new_timestamp: newTimestamp, // New timestamp if changed
+      feed_quantity_g: qty,
+      event_type: "SCHEDULE_UPDATED",
+      status: "pending",
+      ...getPredictionFields(check, overrideReason),
+    };
+
+    const { queued } = await submitFeedingAction({ type: "update", tank_id: tankId, payload });
+
+    console.log(queued ? "📥 Pending feeding update queued (offline)" : "✅ Pending feeding updated successfully");
+    
+    if (messageEl) {
+      messageEl.textContent = queued ? "📥 Offline - update will be sent when back online" : "✅ Feeding updated successfully!";
+      messageEl.className = "message success";
+    }
+    
+    // Refresh both tables
+    await loadPendingFeedings();
+    await loadFeedingEvents();
+    
+    // Close modal after short delay
+    setTimeout(() => {
+      closeEditPendingModal();
+    }, 1500);
+  } catch (error) {
+    console.error("❌ Failed to update pending feeding:", error);
+    if (messageEl) {
+      messageEl.textContent = `❌ Failed to update: ${error.message}`;
+      messageEl.className = "message error";
+    }
+  } finally {
+    // Re-enable button
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Update Feeding";
+    }
+  }
+}
+
+/**
+ * Delete pending feeding
+ */
+function deletePendingFeeding(timestamp, tankId) {
+  // Open modal and show details
+  const modal = document.getElementById("deletePendingModal");
+  const detailsEl = document.getElementById("deleteConfirmationDetails");
+  
+  if (!modal) return;
+  
+  // Store data in modal for confirmation
+  modal.dataset.timestamp = timestamp;
+  modal.dataset.tankId = tankId;
+  
+  // Show feeding details
+  if (detailsEl) {
+    const formattedTime = formatSG(timestamp);
+    detailsEl.textContent = `Scheduled for: ${formattedTime}`;
+  }
+  
+  // Show modal
+  modal.classList.add("show");
+  
+  // Clear any previous messages
+  const messageEl = document.getElementById("deletePendingMessage");
+  if (messageEl) {
+    messageEl.textContent = "";
+    messageEl.className = "message";
+  }
+}
+
+/**
+ * Close delete pending modal
+ */
+function closeDeletePendingModal() {
+  const modal = document.getElementById("deletePendingModal");
+  if (modal) {
+    modal.classList.remove("show");
+  }
+}
+
+/**
+ * Confirm and execute delete
+ */
+async function confirmDeletePending() {
+  const modal = document.getElementById("deletePendingModal");
+  if (!modal) return;
+  
+  const timestamp = modal.dataset.timestamp;
+  const tankId = modal.dataset.tankId;
+  const messageEl = document.getElementById("deletePendingMessage");
+  const deleteBtn = modal.querySelector(".btn-delete-confirm");
+  
+  if (!timestamp || !tankId) return;
+  
+  // Disable button during submission
+  if (deleteBtn) {
+    deleteBtn.disabled = true;
+    deleteBtn.textContent = "Deleting...";
+  }
 
-  const parts = SG_DATE_TIME_FORMATTER.formatToParts(date);
-  const map = {};
-  parts.forEach((part) => {
-    map[part.type] = part.value;
-  });
+  try {
+    const { queued } = await submitFeedingAction({ type: "delete", tank_id: tankId, payload: { tank_id: tankId, timestamp } });
 
-  return `${map.year}-${map.month}-${map.day}T${map.hour}:${map.minute}`;
+    console.log(queued ? "📥 Pending feeding delete queued (offline)" : "✅ Pending feeding deleted successfully");
+    
+    if (messageEl) {
+      messageEl.textContent = queued ? "📥 Offline - delete will be sent when back online" : "✅ Feeding deleted successfully!";
+      messageEl.className = "message success";
+    }
+    
+    // Refresh both tables
+    await loadPendingFeedings();
+    await loadFeedingEvents();
+    
+    // Close modal after short delay
+    setTimeout(() => {
+      closeDeletePendingModal();
+    }, 1500);
+  } catch (error) {
+    console.error("❌ Failed to delete pending feeding:", error);
+    if (messageEl) {
+      messageEl.textContent = `❌ Failed to delete: ${error.message}`;
+      messageEl.className = "message error";
+    }
+  } finally {
+    // Re-enable button
+    if (deleteBtn) {
+      deleteBtn.disabled = false;
+      deleteBtn.textContent = "Delete Feeding";
+    }
+  }
 }
 
 /**
- * Ammonia Prediction Functions
+ * Recurring feeding plans
  */
 
 /**
- * Fetch ammonia prediction from API
- * @param {Object} payload - Prediction payload
- * @returns {Promise<number>} Predicted ammonia value
+ * Load the selected tank's feeding plans and render the plans table
+ * @returns {Promise<Array>} Plans (empty when they could not be loaded)
  */
-async function predictAmmonia(payload) {
+async function loadFeedingPlans() {
   try {
-    const response = await fetch(AMMONIA_PREDICTION_API, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
-    });
+    const response = await fetch(`${API_BASE}/feeding-plans?tank_id=${encodeURIComponent(currentTankId)}`);
 
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error ${response.status}: ${errorText}`);
+      throw new Error(`Feeding plans API error: ${response.status}`);
     }
 
     const data = await response.json();
-    const rawPrediction = parseFloat(data.prediction_ammonia) || 0;
-    
-    const feedAmount = payload.feed_quantity_g || 1;
-    let correction;
-    
-    if (feedAmount <= 1) {
-      correction = 0.5;
-    } else if (feedAmount >= 10) {
-      correction = 0.01;
-    } else {
-      correction = 0.5 - ((feedAmount - 1) / 9) * 0.4;
-    }
 
-    const correctedPrediction = Math.max(0, rawPrediction - correction);
-    
-    console.log(`📊 Prediction: raw=${rawPrediction.toFixed(3)}, correction=${correction.toFixed(3)}, corrected=${correctedPrediction.toFixed(3)}`);
-    
-    return correctedPrediction;
+    noteApiResponse(response);
+
+    feedingPlans = data.items || [];
+    console.log(`🗓️ Loaded ${feedingPlans.length} feeding plan(s)`);
   } catch (error) {
-    console.error("❌ Ammonia prediction API failed:", error);
-    throw error;
+    console.error("❌ Failed to load feeding plans:", error);
+    feedingPlans = [];
   }
+
+  renderFeedingPlans();
+  return feedingPlans;
 }
 
 /**
- * Get ammonia status and CSS class based on predicted value
- * @param {number} prediction - Predicted ammonia level (mg/L)
- * @returns {Object} { status, className }
+ * Occurrences of the enabled plans in (fromMs, toMs], Singapore time.
+ * Anything up to a plan's expanded_until was already created as a pending feeding by the
+ * API (or deleted by the user since), so only later occurrences are returned.
+ * @returns {Array} Pending-feeding-shaped objects with status "planned"
  */
-function getAmmoniaStatus(prediction) {
-  if (prediction < AMMONIA_STATUS_THRESHOLDS.healthy) {
-    return {
-      status: "Healthy range",
-      className: "healthy",
-    };
-  } else if (prediction < AMMONIA_STATUS_THRESHOLDS.warning) {
-    return {
-      status: "Elevated — monitor closely",
-      className: "warning",
-    };
-  } else {
-    return {
-      status: "Very high — toxic risk to fish",
-      className: "danger",
-    };
-  }
+function expandFeedingPlans(plans, fromMs, toMs) {
+  const occurrences = [];
+
+  plans
+    .filter((plan) => plan.enabled !== false)
+    .forEach((plan) => {
+      const expandedUntil = plan.expanded_until ? new Date(plan.expanded_until).getTime() : 0;
+      const startMs = Math.max(fromMs, expandedUntil);
+      const firstDay = formatSGForInput(new Date(startMs).toISOString()).slice(0, 10);
+
+      // Singapore has no DST, so SG days are exactly DAY_MS apart
+      for (let midnight = Date.parse(`${firstDay}T00:00:00+08:00`); midnight <= toMs; midnight += DAY_MS) {
+        const date = formatSGForInput(new Date(midnight).toISOString()).slice(0, 10);
+        const weekday = FEEDING_PLAN_WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+        if (!(plan.days || []).includes(weekday) || (plan.skip_dates || []).includes(date)) continue;
+
+        (plan.times || []).forEach((time) => {
+          // Same shape as the API's feed times, e.g. 2026-10-20T08:00:00+08:00
+          const feedtime = `${date}T${time}:00+08:00`;
+          const feedMs = Date.parse(feedtime);
+          if (feedMs <= startMs || feedMs > toMs) return;
+
+          occurrences.push({
+            tank_id: plan.tank_id,
+            plan_id: plan.plan_id,
+            timestamp: new Date(feedMs).toISOString(),
+            feedtime,
+            feed_quantity_g: plan.feed_quantity_g,
+            status: "planned",
+            date,
+          });
+        });
+      }
+    });
+
+  return occurrences;
 }
 
 /**
- * Click handler for "Predict End-of-Day Ammonia" button
+ * Add the next FEEDING_PLAN_PREVIEW_DAYS of planned occurrences to the pending feedings,
+ * skipping times that already have a feeding, sorted by feed time
  */
-async function onPredictAmmoniaClick() {
-  const btn = document.getElementById("predictAmmoniaBtn");
-  const profile = window.currentProfile || {};
-  const feederQtyInput = document.getElementById("feederQty");
+function mergePlannedFeedings(events, plans) {
+  const feedMs = (event) => new Date(normalizeIsoForSG(event.feedtime || event.timestamp)).getTime();
+  const taken = new Set(events.map(feedMs));
+  const now = Date.now();
 
-  // Validate prerequisites
-  if (!profile.tank_volume_liters && !profile.volume) {
-    alert("❌ Tank profile not loaded. Please refresh the page.");
-    return;
-  }
+  const planned = expandFeedingPlans(plans, now, now + FEEDING_PLAN_PREVIEW_DAYS * DAY_MS)
+    .filter((occurrence) => !taken.has(feedMs(occurrence)));
 
-  if (!feederQtyInput || !feederQtyInput.value) {
-    alert("⚠️ Please enter a feeding quantity first to make a prediction.");
+  return [...events, ...planned].sort((a, b) => feedMs(a) - feedMs(b));
+}
+
+/**
+ * "Daily", "Weekdays", "Weekends" or e.g. "Mon, Wed, Fri"
+ */
+function describeFeedingPlanDays(days) {
+  const selected = days || [];
+  const preset = Object.keys(FEEDING_PLAN_DAY_PRESETS).find((key) => {
+    const presetDays = FEEDING_PLAN_DAY_PRESETS[key];
+    return presetDays.length === selected.length && presetDays.every((day) => selected.includes(day));
+  });
+  if (preset) return preset.charAt(0).toUpperCase() + preset.slice(1);
+
+  return FEEDING_PLAN_DAY_PRESETS.daily
+    .filter((day) => selected.includes(day))
+    .map((day) => day.charAt(0).toUpperCase() + day.slice(1))
+    .join(", ");
+}
+
+/**
+ * Render the feeding plans table
+ */
+function renderFeedingPlans() {
+  const tableBody = document.getElementById("feedingPlansTableBody");
+  if (!tableBody) return;
+
+  if (feedingPlans.length === 0) {
+    tableBody.innerHTML = `
+      <tr>
+        <td colspan="7" style="text-align: center; padding: 2rem;">
+          <div class="feeding-empty-state">
+            <i class="fas fa-calendar-alt"></i>
+            <p>No feeding plans yet</p>
+          </div>
+        </td>
+      </tr>
+    `;
     return;
   }
 
-  // Disable button and show loading state
-  btn.disabled = true;
-  btn.textContent = "Predicting…";
-  btn.classList.add("loading");
+  const today = formatSGForInput(new Date().toISOString()).slice(0, 10);
 
-  try {
-    // Build payload from existing form data and tank profile
-    const tankVolume = profile.tank_volume_liters ?? profile.volume ?? 0;
-    const feedQty = parseFloat(feederQtyInput.value);
+  tableBody.innerHTML = feedingPlans
+    .map((plan) => {
+      const enabled = plan.enabled !== false;
+      const upcomingSkips = (plan.skip_dates || []).filter((date) => date >= today);
 
-    const payload = {
-      tank_volume_liters: parseInt(tankVolume, 10),
-      fish_small: parseInt(profile.fish_small ?? profile.fish_count?.small ?? 0, 10),
-      fish_medium: parseInt(profile.fish_medium ?? profile.fish_count?.medium ?? 0, 10),
-      fish_large: parseInt(profile.fish_large ?? profile.fish_count?.large ?? 0, 10),
-      fish_xlarge: parseInt(profile.fish_xlarge ?? profile.fish_count?.extra_large ?? 0, 10),
-      feed_quantity_g: feedQty,
-    };
+      return `
+        <tr>
+          <td>${escapeHtml(plan.name)}</td>
+          <td class="timestamp">${escapeHtml((plan.times || []).join(", "))}</td>
+          <td>${escapeHtml(describeFeedingPlanDays(plan.days))}</td>
+          <td>${plan.feed_quantity_g}g</td>
+          <td class="timestamp">${upcomingSkips.length > 0 ? escapeHtml(upcomingSkips.join(", ")) : "--"}</td>
+          <td><span class="status-badge ${enabled ? "success" : "queued"}">${enabled ? "active" : "paused"}</span></td>
+          <td class="actions-cell">
+            <button class="btn-action btn-edit" onclick="openFeedingPlanModal('${plan.plan_id}')" title="Edit">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button class="btn-action btn-resolve" onclick="toggleFeedingPlan('${plan.plan_id}')" title="${enabled ? "Pause" : "Resume"}">
+              <i class="fas fa-${enabled ? "pause" : "play"}"></i>
+            </button>
+            <button class="btn-action btn-delete" onclick="deleteFeedingPlan('${plan.plan_id}')" title="Delete">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+}
 
-    console.log("📤 Sending ammonia prediction payload:", payload);
+/**
+ * Open the plan modal (new plan when planId is omitted)
+ */
+function openFeedingPlanModal(planId) {
+  const modal = document.getElementById("feedingPlanModal");
+  if (!modal) return;
 
-    // Call the prediction API
-    const prediction = await predictAmmonia(payload);
+  const plan = feedingPlans.find((p) => p.plan_id === planId);
 
-    // Get status based on prediction
-    const { status, className } = getAmmoniaStatus(prediction);
+  document.getElementById("feedingPlanModalTitle").textContent = plan ? "Edit Feeding Plan" : "New Feeding Plan";
+  document.getElementById("planIdInput").value = plan ? plan.plan_id : "";
+  document.getElementById("planNameInput").value = plan ? plan.name : "";
+  document.getElementById("planTimesInput").value = plan ? (plan.times || []).join(", ") : "08:00, 18:00";
+  document.getElementById("planQtyInput").value = plan ? plan.feed_quantity_g : 2;
+  document.getElementById("planEnabledInput").checked = plan ? plan.enabled !== false : true;
+  setFeedingPlanDays(plan ? plan.days : "daily");
 
-    // Update UI elements
-    const predictedAmmoniaEl = document.getElementById("predictedAmmonia");
-    const predictionStatusEl = document.getElementById("predictionStatus");
+  editingPlanSkipDates = plan ? [...(plan.skip_dates || [])] : [];
+  renderPlanSkipDates();
+  resetFeedPredictionCheck("plan");
+  document.getElementById("planOverrideReason").value = plan?.override_reason || "";
 
-    if (predictedAmmoniaEl) {
-      predictedAmmoniaEl.textContent = prediction.toFixed(3);
-    }
+  const messageEl = document.getElementById("feedingPlanMessage");
+  if (messageEl) {
+    messageEl.textContent = "";
+    messageEl.className = "message";
+  }
 
-    if (predictionStatusEl) {
-      // Update status text
-      const statusTextEl = predictionStatusEl.querySelector(".status-text");
-      if (statusTextEl) {
-        statusTextEl.textContent = status;
-      }
+  modal.classList.add("show");
+}
 
-      // Update status indicator with appropriate class
-      const statusIndicatorEl = predictionStatusEl.querySelector(".status-indicator");
-      if (statusIndicatorEl) {
-        statusIndicatorEl.className = `status-indicator ${className}`;
-      }
+function closeFeedingPlanModal() {
+  const modal = document.getElementById("feedingPlanModal");
+  if (modal) {
+    modal.classList.remove("show");
+  }
+}
 
-      // Apply status class to the parent for styling
-      predictionStatusEl.className = `prediction-status ${className}`;
-    }
+/**
+ * Tick the day checkboxes from a preset name or a list of days
+ */
+function setFeedingPlanDays(days) {
+  const selected = Array.isArray(days) ? days : FEEDING_PLAN_DAY_PRESETS[days] || [];
+  document.querySelectorAll("#planDaysInput input[type='checkbox']").forEach((input) => {
+    input.checked = selected.includes(input.value);
+  });
+}
 
-    console.log(`✅ Ammonia prediction: ${prediction.toFixed(3)} ppm - ${status}`);
-  } catch (error) {
-    console.error("❌ Prediction failed:", error);
-    alert(`❌ Prediction failed: ${error.message}`);
+function addFeedingPlanSkipDate() {
+  const input = document.getElementById("planSkipDateInput");
+  if (!input || !input.value) return;
 
-    // Reset UI to show error state
-    const predictedAmmoniaEl = document.getElementById("predictedAmmonia");
-    const predictionStatusEl = document.getElementById("predictionStatus");
+  if (!editingPlanSkipDates.includes(input.value)) {
+    editingPlanSkipDates = [...editingPlanSkipDates, input.value].sort();
+  }
+  input.value = "";
+  renderPlanSkipDates();
+}
 
-    if (predictedAmmoniaEl) {
-      predictedAmmoniaEl.textContent = "Error";
-    }
+function removeFeedingPlanSkipDate(date) {
+  editingPlanSkipDates = editingPlanSkipDates.filter((d) => d !== date);
+  renderPlanSkipDates();
+}
 
-    if (predictionStatusEl) {
-      const statusTextEl = predictionStatusEl.querySelector(".status-text");
-      if (statusTextEl) {
-        statusTextEl.textContent = "Prediction failed";
-      }
-      const statusIndicatorEl = predictionStatusEl.querySelector(".status-indicator");
-      if (statusIndicatorEl) {
-        statusIndicatorEl.className = "status-indicator danger";
-      }
-      predictionStatusEl.className = "prediction-status danger";
+function renderPlanSkipDates() {
+  const list = document.getElementById("planSkipDatesList");
+  if (!list) return;
+
+  list.innerHTML = editingPlanSkipDates
+    .map(
+      (date) => `
+        <span class="plan-skip-chip">
+          ${escapeHtml(date)}
+          <button type="button" onclick="removeFeedingPlanSkipDate('${date}')" title="Remove">&times;</button>
+        </span>
+      `
+    )
+    .join("");
+}
+
+/**
+ * "8:00, 18:00" -> ["08:00", "18:00"] (null when any entry is not a valid time)
+ */
+function parseFeedingPlanTimes(text) {
+  const times = String(text || "").split(/[,\s]+/).filter(Boolean);
+  if (times.length === 0) return null;
+
+  const parsed = times.map((time) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time);
+    return match ? `${match[1].padStart(2, "0")}:${match[2]}` : null;
+  });
+  if (parsed.includes(null)) return null;
+
+  return [...new Set(parsed)].sort();
+}
+
+/**
+ * Create or replace a plan (DELETE when method is "DELETE")
+ */
+async function sendFeedingPlanRequest(method, plan) {
+  const url =
+    method === "DELETE"
+      ? `${API_BASE}/feeding-plans?${new URLSearchParams({ tank_id: plan.tank_id, plan_id: plan.plan_id }).toString()}`
+      : `${API_BASE}/feeding-plans`;
+  const options =
+    method === "DELETE"
+      ? { method }
+      : { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(plan) };
+
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    let errorMessage = `HTTP ${response.status}`;
+    try {
+      const errorBody = await response.json();
+      if (errorBody.error) errorMessage = errorBody.error;
+    } catch (e) {
+      // Unable to parse response body
     }
-  } finally {
-    // Re-enable button and restore label
-    btn.disabled = false;
-    btn.textContent = "Predict End-of-Day Ammonia";
-    btn.classList.remove("loading");
+    throw new Error(errorMessage);
   }
+
+  return response.json();
 }
 
 /**
- * Save tank settings via API
+ * Handle feeding plan form submission
  */
-async function saveSettings(event) {
+async function saveFeedingPlan(event) {
   event.preventDefault();
 
-  const volumeInput = document.getElementById("volumeInput");
-  const levelInput = document.getElementById("targetLevelInput");
-  const fishSmallInput = document.getElementById("fishSmallInput");
-  const fishMediumInput = document.getElementById("fishMediumInput");
-  const fishLargeInput = document.getElementById("fishLargeInput");
-  const fishExtraLargeInput = document.getElementById("fishExtraLargeInput");
-
-  if (!volumeInput || !levelInput || !fishSmallInput || !fishMediumInput || !fishLargeInput || !fishExtraLargeInput) {
-    console.warn("⚠️ Settings form inputs not found on this page.");
+  const messageEl = document.getElementById("feedingPlanMessage");
+  const submitBtn = event.target.querySelector('button[type="submit"]');
+  const planId = document.getElementById("planIdInput").value;
+  const times = parseFeedingPlanTimes(document.getElementById("planTimesInput").value);
+  const qty = parseFloat(document.getElementById("planQtyInput").value);
+  const days = [...document.querySelectorAll("#planDaysInput input[type='checkbox']:checked")].map((input) => input.value);
+
+  let error = null;
+  if (!times) error = "Enter feed times as HH:MM, separated by commas";
+  else if (days.length === 0) error = "Select at least one day";
+  else if (isNaN(qty) || qty < 0 || qty > 10) error = "Quantity must be between 0 and 10g";
+
+  if (error) {
+    messageEl.textContent = error;
+    messageEl.className = "message error";
     return;
   }
 
-  const settings = {
-    tank_id: "tank_001",
-    tank_volume_liters: parseInt(volumeInput.value, 10),
-    appropriate_water_level: parseInt(levelInput.value, 10),
-    fish_small: parseInt(fishSmallInput.value, 10),
-    fish_medium: parseInt(fishMediumInput.value, 10),
-    fish_large: parseInt(fishLargeInput.value, 10),
-    fish_xlarge: parseInt(fishExtraLargeInput.value, 10),
-    updated_at: new Date().toISOString(),
-  };
+  if (submitBtn) {
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Checking prediction...";
+  }
 
   try {
-    const response = await fetch(`${API_BASE}/tank-profile`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(settings),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Settings API error: ${response.status}`);
-    }
-
-    updateTankDisplay({
-      tank_volume_liters: settings.tank_volume_liters,
-      appropriate_water_level: settings.appropriate_water_level,
-      fish_small: settings.fish_small,
-      fish_medium: settings.fish_medium,
-      fish_large: settings.fish_large,
-      fish_xlarge: settings.fish_xlarge,
-    });
+    // Same prediction gate as a one-off feed - the model's feed input is the day's last feeding,
+    // which for a plan day is the plan quantity
+    const check = await checkFeederPrediction(qty, "plan");
+    const overrideReason = document.getElementById("planOverrideReason").value.trim();
+    if (check && check.className === "danger" && !overrideReason) {
+      messageEl.textContent = "⚠️ Predicted ammonia is toxic - reduce the quantity or enter an override reason";
+      messageEl.className = "message error";
+      return;
+    }
 
-    showSettingsMessage("Settings saved successfully!", "success");
-    setTimeout(closeSettingsModal, 2000);
+    if (submitBtn) submitBtn.textContent = "Saving...";
 
-    console.log("✅ Tank settings saved successfully");
+    const plan = {
+      tank_id: currentTankId,
+      name: document.getElementById("planNameInput").value.trim() || "Feeding plan",
+      times,
+      days,
+      feed_quantity_g: qty,
+      skip_dates: editingPlanSkipDates,
+      enabled: document.getElementById("planEnabledInput").checked,
+      ...getPredictionFields(check, overrideReason),
+    };
+    if (check) plan.prediction_record = getPredictionRecord(check.payload, check);
+    if (planId) plan.plan_id = planId;
+
+    const result = await sendFeedingPlanRequest(planId ? "PUT" : "POST", plan);
+    console.log("✅ Feeding plan saved");
+
+    messageEl.textContent = `✅ Feeding plan saved!${describePlanConflicts(result)}`;
+    messageEl.className = "message success";
+
+    await loadPendingFeedings();
+    // Leave skipped occurrences on screen until the user closes the modal
+    if (!result?.conflicts?.length) setTimeout(closeFeedingPlanModal, 1000);
   } catch (error) {
-    console.error("❌ Failed to save settings:", error);
-    showSettingsMessage("Failed to save settings. Please try again.", "error");
+    console.error("❌ Failed to save feeding plan:", error);
+    messageEl.textContent = `❌ Failed to save: ${navigator.onLine ? error.message : "plans can only be changed online"}`;
+    messageEl.className = "message error";
+  } finally {
+    if (submitBtn) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Save Plan";
+    }
   }
 }
 
-function showSettingsMessage(text, type) {
-  const message = document.getElementById("settingsMessage");
-  if (!message) return;
-  message.textContent = text;
-  message.className = `message ${type}`;
+/**
+ * Occurrences the backend skipped because another feeding event already holds that time
+ */
+function describePlanConflicts(result) {
+  const conflicts = result?.conflicts || [];
+  if (conflicts.length === 0) return "";
+  return ` ⚠️ Not scheduled (another feed already at that time): ${conflicts.map(formatSG).join(", ")}`;
 }
 
 /**
- * Prediction panel (placeholder)
+ * Save a change to an existing plan from the tables (pause/resume, skip a day)
  */
-function updatePredictionPanel() {
-  const predictedValue = getPredictedAmmonia();
-
-  const predictedEl = document.getElementById("predictedAmmonia");
-  const statusElement = document.getElementById("predictionStatus");
-  if (!predictedEl || !statusElement) return;
-
-  const indicator = statusElement.querySelector(".status-indicator");
-  const text = statusElement.querySelector(".status-text");
-  if (!indicator || !text) return;
+async function updateFeedingPlan(planId, changes, successText) {
+  const plan = feedingPlans.find((p) => p.plan_id === planId);
+  if (!plan) return;
 
-  predictedEl.textContent = predictedValue.toFixed(2);
+  const messageEl = document.getElementById("feedingPlansMessage");
 
-  if (predictedValue <= 0.25) {
-    indicator.className = "status-indicator safe";
-    text.textContent = "Safe";
-  } else if (predictedValue <= 0.5) {
-    indicator.className = "status-indicator caution";
-    text.textContent = "Caution";
-  } else {
-    indicator.className = "status-indicator danger";
-    text.textContent = "Dangerous";
+  try {
+    const result = await sendFeedingPlanRequest("PUT", { ...plan, ...changes });
+    if (messageEl) {
+      messageEl.textContent = `✅ ${successText}${describePlanConflicts(result)}`;
+      messageEl.className = "message success";
+    }
+    await loadPendingFeedings();
+  } catch (error) {
+    console.error("❌ Failed to update feeding plan:", error);
+    if (messageEl) {
+      messageEl.textContent = `❌ Failed to update plan: ${navigator.onLine ? error.message : "plans can only be changed online"}`;
+      messageEl.className = "message error";
+    }
   }
 }
 
-function getPredictedAmmonia() {
-  return 0.00;
-}
+function toggleFeedingPlan(planId) {
+  const plan = feedingPlans.find((p) => p.plan_id === planId);
+  if (!plan) return;
 
-/**
- * Load feeding events from API
- */
-async function loadFeedingEvents() {
-  try {
-    const response = await fetch(`${API_BASE}/feeding-events?tank_id=tank_001&device_id=aquasense_01`);
+  const enabled = plan.enabled === false;
+  updateFeedingPlan(planId, { enabled }, `${plan.name} ${enabled ? "resumed" : "paused"}`);
+}
 
-    if (!response.ok) {
-      throw new Error(`Feeding events API error: ${response.status}`);
-    }
+function skipFeedingPlanDate(planId, date) {
+  const plan = feedingPlans.find((p) => p.plan_id === planId);
+  if (!plan) return;
 
-    let events = await response.json();
+  const skipDates = [...new Set([...(plan.skip_dates || []), date])].sort();
+  updateFeedingPlan(planId, { skip_dates: skipDates }, `${plan.name} skipped on ${date}`);
+}
 
-    // Handle both array and { items: [...] } response formats
-    if (events && events.items) {
-      events = events.items;
-    } else if (!Array.isArray(events)) {
-      events = [];
-    }
-    
-    // Include any non-pending events in history
-    events = events.filter(event => (event.status || "").toLowerCase() !== "pending");
-
-    // Sort by feedtime (preferred) or timestamp descending (most recent first)
-    events.sort((a, b) => {
-      const timeA = new Date(a.feedtime || a.timestamp || a.created_at || 0);
-      const timeB = new Date(b.feedtime || b.timestamp || b.created_at || 0);
-      return timeB - timeA;
-    });
+async function deleteFeedingPlan(planId) {
+  const plan = feedingPlans.find((p) => p.plan_id === planId);
+  if (!plan || !confirm(`Delete feeding plan "${plan.name}" and its upcoming feedings?`)) return;
 
-    // Take top 20
-    events = events.slice(0, 20);
+  const messageEl = document.getElementById("feedingPlansMessage");
 
-    renderFeedingHistory(events);
-    console.log(`📋 Feeding events loaded: ${events.length} event(s)`);
+  try {
+    await sendFeedingPlanRequest("DELETE", plan);
+    if (messageEl) {
+      messageEl.textContent = `✅ ${plan.name} deleted`;
+      messageEl.className = "message success";
+    }
+    await loadPendingFeedings();
   } catch (error) {
-    console.error("❌ Failed to load feeding events:", error);
-    renderFeedingHistory([]);
+    console.error("❌ Failed to delete feeding plan:", error);
+    if (messageEl) {
+      messageEl.textContent = `❌ Failed to delete plan: ${error.message}`;
+      messageEl.className = "message error";
+    }
   }
 }
 
 /**
- * Render feeding history table
+ * Offline mode (PWA service worker, offline banner, queued feeding actions)
  */
-function renderFeedingHistory(events) {
-  const tableBody = document.getElementById("feedingTableBody");
-  if (!tableBody) return;
 
-  if (!events || events.length === 0) {
-    tableBody.innerHTML = `
-      <tr>
-        <td colspan="4" style="text-align: center; padding: 2rem;">
-          <div class="feeding-empty-state">
-            <i class="fas fa-calendar-times"></i>
-            <p>No feeding events yet</p>
-          </div>
-        </td>
-      </tr>
-    `;
-    return;
+function setupOfflineMode() {
+  // Service workers need http(s) - opening the files directly keeps working without one
+  if ("serviceWorker" in navigator && window.location.protocol.startsWith("http")) {
+    navigator.serviceWorker
+      .register("sw.js")
+      .then(() => console.log("📦 Service worker registered"))
+      .catch((error) => console.warn("⚠️ Service worker registration failed:", error));
   }
 
-  tableBody.innerHTML = events
-    .map((event) => {
-      // Use feedtime for display (the scheduled feed time), not timestamp (when posted)
-      const feedTimeValue = event.feedtime || event.timestamp || event.created_at;
-      const formattedFeedTime = formatSG(feedTimeValue);
-      const quantity = event.feed_quantity_g ?? event.quantity_grams ?? event.quantity ?? "N/A";
-      const tankId = event.tank_id || "tank_001";
-      const status = event.status || "success";
-      let statusClass = "success";
-      if (status === "pending") statusClass = "pending";
-      else if (status === "failed") statusClass = "failed";
+  window.addEventListener("offline", () => {
+    console.warn("📴 Connection lost");
+    updateOfflineBanner();
+  });
 
-      return `
-        <tr>
-          <td class="timestamp">${formattedFeedTime}</td>
-          <td>${quantity}g</td>
-          <td>${tankId}</td>
-          <td><span class="status-badge ${statusClass}">${status}</span></td>
-        </tr>
-      `;
-    })
-    .join("");
+  window.addEventListener("online", async () => {
+    console.log("📶 Connection restored");
+    updateOfflineBanner();
+    await replayFeedingQueue();
+    initializeApplication();
+  });
 
-  console.log("📊 Feeding history rendered");
+  updateOfflineBanner();
+  renderFeedingConflicts();
+  replayFeedingQueue();
 }
 
 /**
- * Refresh feeding history
+ * Track where a GET response came from: sw.js marks responses served from its cache
+ * with X-AquaScope-Cached-At
  */
-async function refreshFeedingHistory() {
-  const refreshBtn = document.getElementById("refreshFeedingBtn");
-  if (refreshBtn) {
-    refreshBtn.disabled = true;
-    refreshBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Refreshing...';
+function noteApiResponse(response) {
+  if (response.headers.get("X-AquaScope-Cached-At")) {
+    servingCachedData = true;
+  } else {
+    servingCachedData = false;
+    localStorage.setItem(LAST_SYNC_STORAGE_KEY, new Date().toISOString());
+  }
+  updateOfflineBanner();
+}
+
+function updateOfflineBanner() {
+  const banner = document.getElementById("offlineBanner");
+  if (!banner) return;
+
+  const offline = !navigator.onLine || servingCachedData;
+  const queued = getFeedingQueue().length;
+  const lastSync = localStorage.getItem(LAST_SYNC_STORAGE_KEY);
+  const parts = [];
+
+  if (offline) {
+    parts.push(`<i class="fas fa-wifi"></i> Offline - data as of ${lastSync ? formatSG(lastSync) : "unknown"}`);
   }
+  if (queued > 0) {
+    parts.push(isReplayingFeedingQueue ? `Syncing ${queued} feeding change(s)...` : `${queued} feeding change(s) queued`);
+  }
+
+  banner.innerHTML = parts.join(" · ");
+  banner.classList.toggle("show", parts.length > 0);
+}
 
+function getFeedingQueue() {
   try {
-    await loadFeedingEvents();
+    return JSON.parse(localStorage.getItem(FEEDING_QUEUE_STORAGE_KEY) || "[]");
   } catch (error) {
-    console.error("❌ Failed to refresh feeding history:", error);
-  } finally {
-    if (refreshBtn) {
-      refreshBtn.disabled = false;
-      refreshBtn.innerHTML = '<i class="fas fa-redo"></i> Refresh';
-    }
+    return [];
   }
 }
 
+function saveFeedingQueue(queue) {
+  localStorage.setItem(FEEDING_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  updateOfflineBanner();
+}
+
 /**
- * Load pending feedings from API
+ * Send a feeding action ({ type: "create" | "update" | "delete", tank_id, payload }),
+ * or queue it when offline. Anything already queued goes first, so order is kept.
+ * @returns {Promise<Object>} { queued: true } or { queued: false, result }
  */
-async function loadPendingFeedings() {
-  try {
-    const response = await fetch(`${API_BASE}/feeding-events?tank_id=tank_001`);
+async function submitFeedingAction(action) {
+  if (navigator.onLine && getFeedingQueue().length === 0) {
+    try {
+      return { queued: false, result: await performFeedingRequest(action) };
+    } catch (error) {
+      // fetch rejects with TypeError only when the request never reached the API
+      if (!(error instanceof TypeError)) throw error;
+    }
+  }
 
-    if (!response.ok) {
-      throw new Error(`Pending feedings API error: ${response.status}`);
+  queueFeedingAction(action);
+  if (navigator.onLine) replayFeedingQueue();
+  return { queued: true };
+}
+
+function buildFeedingRequest(action) {
+  if (action.type === "delete") {
+    const params = new URLSearchParams({ tank_id: action.payload.tank_id, timestamp: action.payload.timestamp });
+    return { url: `${API_BASE}/feeding-events?${params.toString()}`, options: { method: "DELETE" } };
+  }
+
+  return {
+    url: `${API_BASE}/feeding-events`,
+    options: {
+      method: action.type === "create" ? "POST" : "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(action.payload),
+    },
+  };
+}
+
+async function performFeedingRequest(action) {
+  const { url, options } = buildFeedingRequest(action);
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    // Try to read error message from response
+    let errorMessage = `HTTP ${response.status}`;
+    try {
+      const errorBody = await response.text();
+      if (errorBody) {
+        console.error("Backend error response:", errorBody);
+        errorMessage = errorBody;
+      }
+    } catch (e) {
+      // Unable to parse response body
     }
+    throw new Error(errorMessage);
+  }
 
-    const data = await response.json();
-    
-    // Filter for pending/scheduled events
-    const pendingEvents = (data.items || []).filter(event => 
-      (event.status || "").toLowerCase() === "pending"
-    );
+  return response.json();
+}
 
-    renderPendingFeedings(pendingEvents);
-    console.log(`📋 Loaded ${pendingEvents.length} pending feeding(s)`);
-  } catch (error) {
-    console.error("❌ Failed to load pending feedings:", error);
-    renderPendingFeedings([]);
+/**
+ * Queue an action; edits/deletes of a feeding that is itself still queued are folded into it
+ */
+function queueFeedingAction(action) {
+  const queue = getFeedingQueue();
+  const queuedCreate = queue.find(
+    (entry) =>
+      entry.type === "create" &&
+      entry.tank_id === action.tank_id &&
+      entry.payload.timestamp === action.payload.timestamp
+  );
+
+  if (queuedCreate && action.type === "update") {
+    queuedCreate.payload.feed_quantity_g = action.payload.feed_quantity_g;
+    queuedCreate.payload.feedtime = action.payload.new_timestamp ?? queuedCreate.payload.feedtime;
+    // The create carries the edited quantity's prediction (or none), not the original one
+    ["predicted_ammonia", "prediction_status", "override_reason"].forEach((field) => {
+      if (action.payload[field] === undefined) delete queuedCreate.payload[field];
+      else queuedCreate.payload[field] = action.payload[field];
+    });
+  } else if (queuedCreate && action.type === "delete") {
+    queue.splice(queue.indexOf(queuedCreate), 1);
+  } else {
+    queue.push({ ...action, queued_at: new Date().toISOString() });
   }
+
+  saveFeedingQueue(queue);
 }
 
 /**
- * Render pending feedings table
+ * Overlay queued actions on the pending feedings loaded from the API (or its cache)
  */
-function renderPendingFeedings(events) {
-  const tableBody = document.getElementById("pendingFeedingsTableBody");
-  if (!tableBody) return;
+function applyQueuedFeedingActions(events, tankId) {
+  let result = [...events];
+
+  getFeedingQueue()
+    .filter((action) => action.tank_id === tankId)
+    .forEach((action) => {
+      if (action.type === "create") {
+        result.push({ ...action.payload, status: "queued" });
+      } else if (action.type === "update") {
+        result = result.map((event) =>
+          event.timestamp === action.payload.timestamp
+            ? { ...event, feedtime: action.payload.new_timestamp ?? event.feedtime, feed_quantity_g: action.payload.feed_quantity_g, status: "queued" }
+            : event
+        );
+      } else {
+        result = result.filter((event) => event.timestamp !== action.payload.timestamp);
+      }
+    });
 
-  if (!events || events.length === 0) {
-    tableBody.innerHTML = `
-      <tr>
-        <td colspan="4" style="text-align: center; padding: 2rem;">
-          <div class="feeding-empty-state">
-            <i class="fas fa-calendar-check"></i>
-            <p>No pending feedings scheduled</p>
-          </div>
-        </td>
-      </tr>
-    `;
-    return;
-  }
+  return result;
+}
 
-  tableBody.innerHTML = events
-    .map((event) => {
-      // Use feedtime for display (the scheduled feed time), not timestamp (when posted)
-      const feedTimeValue = event.feedtime || event.timestamp || event.created_at;
-      const formattedFeedTime = formatSG(feedTimeValue);
-      const quantity = event.feed_quantity_g ?? event.quantity_grams ?? event.quantity ?? "N/A";
-      const status = event.status || "pending";
-      const tankId = event.tank_id || "tank_001";
-      const timestampValue = event.timestamp || event.created_at || feedTimeValue;
+/**
+ * Why a queued action can no longer be applied as intended (null when it can)
+ * @param {Object|null} existing - the queued event as the API has it now (null when gone)
+ */
+function findFeedingConflict(action, existing) {
+  const isPast = (feedtime) => new Date(normalizeIsoForSG(feedtime)).getTime() <= Date.now();
 
-      let statusClass = "pending";
-      if (status === "success") statusClass = "success";
-      else if (status === "failed") statusClass = "failed";
+  if (action.type === "create") {
+    return isPast(action.payload.feedtime) ? "Scheduled time passed while offline - not scheduled" : null;
+  }
 
-      // Encode timestamp for URL
-      const encodedTimestamp = encodeURIComponent(timestampValue);
+  if (!existing) {
+    return action.type === "delete"
+      ? "Already deleted elsewhere"
+      : "Feeding no longer exists (deleted or already processed) - update not applied";
+  }
 
-      return `
-        <tr data-timestamp="${timestampValue}" data-tank-id="${tankId}">
-          <td class="timestamp">${formattedFeedTime}</td>
-          <td><span id="qty-${encodedTimestamp}">${quantity}g</span></td>
-          <td><span class="status-badge ${statusClass}">${status}</span></td>
-          <td class="actions-cell">
-            <button class="btn-action btn-edit" onclick="editPendingFeeding('${feedTimeValue}', '${tankId}', ${quantity}, '${timestampValue}')" title="Edit">
-              <i class="fas fa-edit"></i>
-            </button>
-            <button class="btn-action btn-delete" onclick="deletePendingFeeding('${timestampValue}', '${tankId}')" title="Delete">
-              <i class="fas fa-trash"></i>
-            </button>
-          </td>
-        </tr>
-      `;
-    })
-    .join("");
+  const status = String(existing.status || "").toUpperCase();
+  if (status !== "PENDING") {
+    return `Feeding already ${status.toLowerCase()} - ${action.type} not applied`;
+  }
+  if (action.type === "update" && isPast(action.payload.new_timestamp ?? existing.feedtime)) {
+    return "New feed time is in the past - update not applied";
+  }
+  return null;
+}
 
-  console.log("📊 Pending feedings rendered");
+/**
+ * The event a queued action targets, looked up by its key so it is found however long the
+ * history is (null when it no longer exists)
+ */
+async function fetchQueuedFeedingEvent(action) {
+  const timestamp = action.payload.timestamp;
+  const query = new URLSearchParams({ tank_id: action.tank_id, start_ts: timestamp, end_ts: timestamp });
+  const response = await fetch(`${API_BASE}/feeding-events?${query.toString()}`);
+  if (!response.ok) {
+    throw new Error(`Feeding events API error: ${response.status}`);
+  }
+  if (response.headers.get("X-AquaScope-Cached-At")) {
+    // Served by the service worker cache - still offline
+    throw new TypeError("Feeding events served from cache");
+  }
+
+  const data = await response.json();
+  return (data.items || []).find((event) => event.timestamp === timestamp) || null;
 }
 
 /**
- * Edit pending feeding
+ * Replay queued feeding actions in order. Conflicting or rejected actions are dropped and
+ * reported; a network failure stops the replay and keeps the rest queued.
  */
-function editPendingFeeding(timestamp, tankId, currentQty, originalTimestamp) {
-  // Open modal and populate with current values
-  const modal = document.getElementById("editPendingModal");
-  const timeInput = document.getElementById("editFeedingTime");
-  const qtyInput = document.getElementById("editFeedingQty");
-  const originalTimestampInput = document.getElementById("editFeedingOriginalTimestamp");
-  const tankIdInput = document.getElementById("editFeedingTankId");
-  
-  if (!modal || !timeInput || !qtyInput) return;
-  
-  // Set current values
-  timeInput.value = formatSGForInput(timestamp);
-  qtyInput.value = currentQty;
-  originalTimestampInput.value = originalTimestamp || timestamp;
-  tankIdInput.value = tankId;
-  
-  // Show modal
-  modal.classList.add("show");
-  
-  // Clear any previous messages
-  const messageEl = document.getElementById("editPendingMessage");
-  if (messageEl) {
-    messageEl.textContent = "";
-    messageEl.className = "message";
+async function replayFeedingQueue() {
+  if (isReplayingFeedingQueue || !navigator.onLine || getFeedingQueue().length === 0) return;
+
+  isReplayingFeedingQueue = true;
+  updateOfflineBanner();
+
+  const conflicts = [];
+  let applied = 0;
+
+  try {
+    let queue = getFeedingQueue();
+
+    while (queue.length > 0) {
+      const action = queue[0];
+
+      // Fetched per action, so it already reflects the actions replayed before it
+      const existing = action.type === "create" ? null : await fetchQueuedFeedingEvent(action);
+      const conflict = findFeedingConflict(action, existing);
+      if (conflict) {
+        conflicts.push({ ...action, reason: conflict });
+      } else {
+        try {
+          await performFeedingRequest(action);
+          applied++;
+        } catch (error) {
+          if (error instanceof TypeError) throw error;
+          conflicts.push({ ...action, reason: `Rejected by server: ${error.message}` });
+        }
+      }
+
+      queue = queue.slice(1);
+      saveFeedingQueue(queue);
+    }
+  } catch (error) {
+    console.warn("📴 Feeding queue replay interrupted - will retry when online:", error);
+  } finally {
+    isReplayingFeedingQueue = false;
+    updateOfflineBanner();
+  }
+
+  if (conflicts.length > 0) {
+    const stored = JSON.parse(localStorage.getItem(FEEDING_CONFLICTS_STORAGE_KEY) || "[]");
+    const resolvedAt = new Date().toISOString();
+    localStorage.setItem(
+      FEEDING_CONFLICTS_STORAGE_KEY,
+      JSON.stringify([...stored, ...conflicts.map((c) => ({ ...c, resolved_at: resolvedAt }))])
+    );
+    renderFeedingConflicts();
+  }
+
+  if (applied > 0 || conflicts.length > 0) {
+    console.log(`🔁 Replayed feeding queue: ${applied} applied, ${conflicts.length} conflict(s)`);
+    if (currentPage === "feeding") {
+      await Promise.all([loadPendingFeedings(), loadFeedingEvents()]);
+    }
   }
 }
 
 /**
- * Close edit pending modal
+ * List queued actions that could not be applied (feeding page)
  */
-function closeEditPendingModal() {
-  const modal = document.getElementById("editPendingModal");
-  if (modal) {
-    modal.classList.remove("show");
+function renderFeedingConflicts() {
+  const section = document.getElementById("feedingConflicts");
+  const list = document.getElementById("feedingConflictsList");
+  if (!section || !list) return;
+
+  let conflicts = [];
+  try {
+    conflicts = JSON.parse(localStorage.getItem(FEEDING_CONFLICTS_STORAGE_KEY) || "[]");
+  } catch (error) {
+    conflicts = [];
   }
+
+  section.classList.toggle("show", conflicts.length > 0);
+  list.innerHTML = conflicts
+    .map((conflict) => {
+      const payload = conflict.payload || {};
+      const when = payload.new_timestamp ?? payload.feedtime ?? payload.timestamp;
+      const qty = payload.feed_quantity_g !== undefined ? ` · ${payload.feed_quantity_g}g` : "";
+      return `
+        <li>
+          <strong>${escapeHtml(conflict.type)}</strong> ${escapeHtml(formatSG(when))}${escapeHtml(qty)}
+          <span class="conflict-reason">${escapeHtml(conflict.reason)}</span>
+        </li>
+      `;
+    })
+    .join("");
+}
+
+function dismissFeedingConflicts() {
+  localStorage.removeItem(FEEDING_CONFLICTS_STORAGE_KEY);
+  renderFeedingConflicts();
 }
 
 /**
- * Handle edit pending form submission
+ * Live updates (WebSocket push, incremental polling fallback)
  */
-async function handleEditPendingSubmit(event) {
-  event.preventDefault();
-  
-  const timeInput = document.getElementById("editFeedingTime");
-  const qtyInput = document.getElementById("editFeedingQty");
-  const originalTimestampInput = document.getElementById("editFeedingOriginalTimestamp");
-  const tankIdInput = document.getElementById("editFeedingTankId");
-  const submitBtn = event.target.querySelector('button[type="submit"]');
-  const messageEl = document.getElementById("editPendingMessage");
-  
-  const newDatetime = timeInput.value;
-  const qty = parseFloat(qtyInput.value);
-  const originalTimestamp = originalTimestampInput.value;
-  const tankId = tankIdInput.value;
-  
-  if (!newDatetime || isNaN(qty) || qty < 0 || qty > 10) {
-    if (messageEl) {
-      messageEl.textContent = "Please enter valid date/time and quantity (0-10g)";
-      messageEl.className = "message error";
+
+/**
+ * WebSocket URL: ?live= overrides (and is remembered, ?live= with no value clears it)
+ */
+function getLiveUpdatesUrl() {
+  const fromQuery = new URLSearchParams(window.location.search).get(LIVE_URL_QUERY_PARAM);
+  if (fromQuery !== null) {
+    if (fromQuery) {
+      localStorage.setItem(LIVE_URL_STORAGE_KEY, fromQuery);
+    } else {
+      localStorage.removeItem(LIVE_URL_STORAGE_KEY);
     }
+  }
+  return localStorage.getItem(LIVE_URL_STORAGE_KEY) || LIVE_UPDATES_URL;
+}
+
+/**
+ * Start (or re-point after a tank switch) the live channel for the current page
+ */
+function startLiveUpdates() {
+  const url = getLiveUpdatesUrl();
+
+  if (!url || !("WebSocket" in window)) {
+    setLiveStatus("polling");
+    startPollingFallback();
     return;
   }
-  
-  // Disable button during submission
-  if (submitBtn) {
-    submitBtn.disabled = true;
-    submitBtn.textContent = "Updating...";
+
+  if (liveSocket && liveSocket.readyState === WebSocket.OPEN) {
+    subscribeLiveUpdates();
+    return;
   }
-  
-  try {
-    const newTimestamp = newDatetime + ":00";
-    
-    const payload = {
-      tank_id: tankId,
-      timestamp: originalTimestamp, // Original timestamp for identification
-      new_timestamp: newTimestamp, // New timestamp if changed
-      feed_quantity_g: qty,
-      event_type: "SCHEDULE_UPDATED",
-      status: "pending",
-    };
+  // Still connecting - onopen subscribes to whatever tank is selected by then
+  if (liveSocket && liveSocket.readyState === WebSocket.CONNECTING) return;
 
-    const response = await fetch(`${API_BASE}/feeding-events`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
+  connectLiveUpdates(url);
+}
 
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}`;
-      try {
-        const errorBody = await response.text();
-        if (errorBody) {
-          console.error("Backend error response:", errorBody);
-          errorMessage = errorBody;
-        }
-      } catch (e) {
-        // Unable to parse response body
-      }
-      throw new Error(errorMessage);
-    }
+function connectLiveUpdates(url) {
+  clearTimeout(liveReconnectTimeout);
+  setLiveStatus(liveReconnectAttempts > 0 ? "reconnecting" : "connecting");
 
-    console.log("✅ Pending feeding updated successfully");
-    
-    if (messageEl) {
-      messageEl.textContent = "✅ Feeding updated successfully!";
-      messageEl.className = "message success";
-    }
-    
-    // Refresh both tables
-    await loadPendingFeedings();
-    await loadFeedingEvents();
-    
-    // Close modal after short delay
-    setTimeout(() => {
-      closeEditPendingModal();
-    }, 1500);
+  let socket;
+  try {
+    socket = new WebSocket(url);
   } catch (error) {
-    console.error("❌ Failed to update pending feeding:", error);
-    if (messageEl) {
-      messageEl.textContent = `❌ Failed to update: ${error.message}`;
-      messageEl.className = "message error";
-    }
-  } finally {
-    // Re-enable button
-    if (submitBtn) {
-      submitBtn.disabled = false;
-      submitBtn.textContent = "Update Feeding";
-    }
+    console.error("❌ Live updates connection failed:", error);
+    startPollingFallback();
+    scheduleLiveReconnect();
+    return;
   }
+  liveSocket = socket;
+
+  socket.onopen = () => {
+    const reconnected = liveReconnectAttempts > 0;
+    liveReconnectAttempts = 0;
+    stopPollingFallback();
+    subscribeLiveUpdates();
+    setLiveStatus("live");
+    console.log("📡 Live updates connected");
+
+    // Close the gap left while disconnected
+    if (reconnected) pollLiveFallback();
+  };
+
+  socket.onmessage = (event) => handleLiveMessage(event.data);
+
+  socket.onclose = () => {
+    if (liveSocket !== socket) return;
+    liveSocket = null;
+    console.warn("⚠️ Live updates disconnected - polling until reconnected");
+    setLiveStatus("reconnecting");
+    startPollingFallback();
+    scheduleLiveReconnect();
+  };
+
+  // An error is always followed by close, which handles the reconnect
+  socket.onerror = () => {};
 }
 
 /**
- * Delete pending feeding
+ * Exponential backoff with jitter, capped at LIVE_RECONNECT_MAX_MS
  */
-function deletePendingFeeding(timestamp, tankId) {
-  // Open modal and show details
-  const modal = document.getElementById("deletePendingModal");
-  const detailsEl = document.getElementById("deleteConfirmationDetails");
-  
-  if (!modal) return;
-  
-  // Store data in modal for confirmation
-  modal.dataset.timestamp = timestamp;
-  modal.dataset.tankId = tankId;
-  
-  // Show feeding details
-  if (detailsEl) {
-    const formattedTime = formatSG(timestamp);
-    detailsEl.textContent = `Scheduled for: ${formattedTime}`;
-  }
-  
-  // Show modal
-  modal.classList.add("show");
-  
-  // Clear any previous messages
-  const messageEl = document.getElementById("deletePendingMessage");
-  if (messageEl) {
-    messageEl.textContent = "";
-    messageEl.className = "message";
-  }
+function scheduleLiveReconnect() {
+  const backoff = Math.min(LIVE_RECONNECT_MAX_MS, LIVE_RECONNECT_BASE_MS * 2 ** liveReconnectAttempts);
+  const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+  liveReconnectAttempts++;
+
+  clearTimeout(liveReconnectTimeout);
+  liveReconnectTimeout = setTimeout(() => connectLiveUpdates(getLiveUpdatesUrl()), delay);
+  console.log(`🔁 Live updates reconnect in ${Math.round(delay / 1000)}s (attempt ${liveReconnectAttempts})`);
+}
+
+function subscribeLiveUpdates() {
+  const tank = getCurrentTank();
+  liveSocket.send(JSON.stringify({ action: "subscribe", tank_id: tank.tankId, device_id: tank.deviceId }));
 }
 
 /**
- * Close delete pending modal
+ * Messages from AquaScope_LiveUpdates (or dev/mock-live-server.js):
+ *   { type: "reading", device_id, reading }  |  { type: "feeding", tank_id, event }
  */
-function closeDeletePendingModal() {
-  const modal = document.getElementById("deletePendingModal");
-  if (modal) {
-    modal.classList.remove("show");
+function handleLiveMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    console.warn("⚠️ Ignoring malformed live message");
+    return;
+  }
+
+  const tank = getCurrentTank();
+
+  if (message.type === "reading" && message.device_id === tank.deviceId && message.reading) {
+    if (currentPage === "overview" || currentPage === "monitoring") {
+      applyNewReadings([message.reading]);
+    } else if (currentPage === "alerts") {
+      // The alert log is written from readings - refresh it, but not on every reading
+      scheduleLiveReload(loadAlertHistory);
+    }
+  } else if (message.type === "feeding" && message.tank_id === tank.tankId) {
+    scheduleLiveReload(refreshFeedingViews);
   }
 }
 
+function scheduleLiveReload(reload) {
+  clearTimeout(liveReloadTimeout);
+  liveReloadTimeout = setTimeout(reload, LIVE_RELOAD_DEBOUNCE_MS);
+}
+
 /**
- * Confirm and execute delete
+ * Reload whatever shows feeding events on this page (status changes, new schedules)
  */
-async function confirmDeletePending() {
-  const modal = document.getElementById("deletePendingModal");
-  if (!modal) return;
-  
-  const timestamp = modal.dataset.timestamp;
-  const tankId = modal.dataset.tankId;
-  const messageEl = document.getElementById("deletePendingMessage");
-  const deleteBtn = modal.querySelector(".btn-delete-confirm");
-  
-  if (!timestamp || !tankId) return;
-  
-  // Disable button during submission
-  if (deleteBtn) {
-    deleteBtn.disabled = true;
-    deleteBtn.textContent = "Deleting...";
+async function refreshFeedingViews() {
+  if (currentPage === "feeding") {
+    await Promise.all([loadPendingFeedings(), loadFeedingEvents()]);
+  } else if (currentPage === "monitoring" && currentReadings.length > 0) {
+    const tankId = currentTankId;
+    const markers = await loadFeedingMarkers(tankId, getActiveRange());
+    if (tankId !== currentTankId) return;
+    feedingMarkers = markers;
+    updateCharts(currentReadings);
+  } else if (currentPage === "overview") {
+    // Today's feeding is an input of the end-of-day prediction
+    await updatePredictionPanel();
   }
+}
 
-  try {
-    const url = `${API_BASE}/feeding-events?tank_id=${encodeURIComponent(tankId)}&timestamp=${encodeURIComponent(timestamp)}`;
-    
-    const response = await fetch(url, {
-      method: "DELETE",
-    });
+/**
+ * The live channel only carries readings and feedings - profile edits (from another tab or
+ * device) and the end-of-day prediction are refreshed on a timer
+ */
+function startProfileRefresh() {
+  if (profileRefreshInterval) return;
 
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}`;
-      try {
-        const errorBody = await response.text();
-        if (errorBody) {
-          console.error("Backend error response:", errorBody);
-          errorMessage = errorBody;
-        }
-      } catch (e) {
-        // Unable to parse response body
+  profileRefreshInterval = setInterval(async () => {
+    try {
+      await loadTankProfile({ periodic: true });
+      if (currentPage === "feeding" || currentPage === "overview") {
+        await updatePredictionPanel();
       }
-      throw new Error(errorMessage);
+    } catch (error) {
+      console.error("❌ Profile refresh failed:", error);
     }
+  }, PROFILE_REFRESH_MS);
+}
 
-    console.log("✅ Pending feeding deleted successfully");
-    
-    if (messageEl) {
-      messageEl.textContent = "✅ Feeding deleted successfully!";
-      messageEl.className = "message success";
+/**
+ * Fallback while the socket is down (or not configured): incremental readings with a since cursor
+ */
+function startPollingFallback() {
+  if (refreshInterval) return;
+  refreshInterval = setInterval(pollLiveFallback, POLL_INTERVAL_MS);
+  console.log(`⏰ Polling started (${POLL_INTERVAL_MS / 1000}-second interval)`);
+}
+
+function stopPollingFallback() {
+  if (!refreshInterval) return;
+  clearInterval(refreshInterval);
+  refreshInterval = null;
+}
+
+async function pollLiveFallback() {
+  try {
+    if (currentPage === "overview" || currentPage === "monitoring") {
+      await pollIncrementalReadings();
+    } else if (currentPage === "feeding") {
+      await refreshFeedingViews();
+    } else if (currentPage === "alerts") {
+      await loadAlertHistory();
     }
-    
-    // Refresh both tables
-    await loadPendingFeedings();
-    await loadFeedingEvents();
-    
-    // Close modal after short delay
-    setTimeout(() => {
-      closeDeletePendingModal();
-    }, 1500);
   } catch (error) {
-    console.error("❌ Failed to delete pending feeding:", error);
-    if (messageEl) {
-      messageEl.textContent = `❌ Failed to delete: ${error.message}`;
-      messageEl.className = "message error";
-    }
-  } finally {
-    // Re-enable button
-    if (deleteBtn) {
-      deleteBtn.disabled = false;
-      deleteBtn.textContent = "Delete Feeding";
-    }
+    console.error("❌ Polling failed:", error);
   }
 }
 
 /**
- * Auto-refresh functionality
+ * Fetch only readings newer than the latest one already loaded
  */
-function startAutoRefresh() {
-  if (refreshInterval) {
-    clearInterval(refreshInterval);
+async function pollIncrementalReadings() {
+  if (isLoadingSensorData) return;
+
+  // Showing cached readings after a network failure - try a full (incremental-by-cache) load
+  if (servingCachedData) {
+    await loadSensorData();
+    return;
+  }
+  if (!isLiveRange()) return;
+
+  // The cursor is the newest timestamp string exactly as stored, so the API compares it as-is
+  const since = currentReadings.reduce(
+    (latest, r) => (!latest || new Date(r.timestamp) > new Date(latest) ? r.timestamp : latest),
+    null
+  );
+  if (!since) {
+    // Nothing loaded for this period yet - a full load is just as cheap
+    await loadSensorData();
+    return;
   }
 
-  refreshInterval = setInterval(async () => {
-    console.log("🔄 Auto-refreshing dashboard data...");
+  // A burst (e.g. after a reconnect) can exceed one response - follow the cursor while has_more
+  const tank = getCurrentTank();
+  const items = [];
+  let cursor = since;
+  for (let page = 0; page < READING_FETCH_MAX_PAGES; page++) {
+    const params = new URLSearchParams({ device_id: tank.deviceId, since: cursor });
+    const response = await fetch(`${API_BASE}/readings?${params.toString()}`);
 
-    try {
-      if (currentPage === "monitoring") {
-        await Promise.all([loadTankProfile(), loadSensorData()]);
-      } else if (currentPage === "feeding") {
-        await loadFeedingEvents();
-      } else {
-        await loadTankProfile();
-      }
-      updatePredictionPanel();
-    } catch (error) {
-      console.error("❌ Auto-refresh failed:", error);
+    if (!response.ok) {
+      throw new Error(`Sensor data API error: ${response.status}`);
     }
-  }, 60000);
 
-  console.log("⏰ Auto-refresh started (60-second interval)");
+    const data = await response.json();
+    if (tank.tankId !== currentTankId) return;
+
+    const pageItems = Array.isArray(data.items) ? data.items : [];
+    items.push(...pageItems);
+    if (!data.has_more || pageItems.length === 0) break;
+    cursor = data.cursor || pageItems[pageItems.length - 1].timestamp;
+  }
+
+  // Always re-assess, so the offline warning appears even when nothing new arrived
+  applyNewReadings(items);
+}
+
+/**
+ * Append new readings to the charts/alerts, sliding the period window forward
+ */
+function applyNewReadings(items) {
+  if (!isLiveRange()) return;
+
+  const range = getActiveRange();
+  cacheReadings(getCurrentTank().deviceId, items);
+  currentReadings = mergeReadings(currentReadings, items).filter((r) => new Date(r.timestamp) >= range.start);
+
+  deviceHealth = assessDeviceHealth(currentReadings);
+  renderDeviceHealth();
+
+  if (currentReadings.length > 0) {
+    updateCharts(currentReadings);
+    hideChartPlaceholders();
+  }
+  updateAlerts(currentReadings);
+
+  if (items.length > 0) {
+    console.log(`📡 ${items.length} new reading(s) applied`);
+  }
+}
+
+function setLiveStatus(state) {
+  const el = document.getElementById("liveStatus");
+  if (!el) return;
+
+  const labels = {
+    live: "Live",
+    connecting: "Connecting...",
+    reconnecting: "Reconnecting (polling)",
+    polling: `Polling ${POLL_INTERVAL_MS / 1000}s`,
+  };
+  el.className = `live-status ${state}`;
+  el.innerHTML = `<span class="live-status-dot"></span>${labels[state] || state}`;
 }
 
 /**
@@ -1601,6 +7047,13 @@ function showErrorMessage(message) {
  */
 window.addEventListener("beforeunload", function () {
   if (refreshInterval) clearInterval(refreshInterval);
+  clearTimeout(liveReconnectTimeout);
+  clearTimeout(liveReloadTimeout);
+  if (liveSocket) {
+    liveSocket.onclose = null;
+    liveSocket.close();
+  }
+  if (deviceHealthInterval) clearInterval(deviceHealthInterval);
 
   Object.values(retryTimeouts).forEach((t) => clearTimeout(t));
 
@@ -1642,6 +7095,9 @@ window.addEventListener("resize", function () {
 // Export functions for global access
 window.AquaScope = {
   selectTimeline,
+  selectTank,
+  applyCustomRange,
+  resetChartZoom,
   openSettingsModal,
   closeSettingsModal,
   saveSettings,
@@ -1652,13 +7108,46 @@ window.AquaScope = {
 window.openSettingsModal = openSettingsModal;
 window.closeSettingsModal = closeSettingsModal;
 window.saveSettings = saveSettings;
+window.applyCustomRange = applyCustomRange;
+window.resetChartZoom = resetChartZoom;
 window.refreshFeedingHistory = refreshFeedingHistory;
+window.loadFeedingEvents = loadFeedingEvents;
+window.loadMoreFeedingEvents = loadMoreFeedingEvents;
 window.loadPendingFeedings = loadPendingFeedings;
 window.editPendingFeeding = editPendingFeeding;
 window.deletePendingFeeding = deletePendingFeeding;
 window.closeEditPendingModal = closeEditPendingModal;
 window.closeDeletePendingModal = closeDeletePendingModal;
 window.confirmDeletePending = confirmDeletePending;
+window.openFeedingPlanModal = openFeedingPlanModal;
+window.closeFeedingPlanModal = closeFeedingPlanModal;
+window.saveFeedingPlan = saveFeedingPlan;
+window.setFeedingPlanDays = setFeedingPlanDays;
+window.addFeedingPlanSkipDate = addFeedingPlanSkipDate;
+window.removeFeedingPlanSkipDate = removeFeedingPlanSkipDate;
+window.toggleFeedingPlan = toggleFeedingPlan;
+window.skipFeedingPlanDate = skipFeedingPlanDate;
+window.deleteFeedingPlan = deleteFeedingPlan;
 window.onPredictAmmoniaClick = onPredictAmmoniaClick;
+window.onRecommendAmountClick = onRecommendAmountClick;
+window.loadAlertHistory = loadAlertHistory;
+window.loadPredictionLog = loadPredictionLog;
+window.loadDailySummaries = loadDailySummaries;
+window.openWaterTestModal = openWaterTestModal;
+window.closeWaterTestModal = closeWaterTestModal;
+window.saveWaterTest = saveWaterTest;
+window.importWaterTestCsv = importWaterTestCsv;
+window.openExportModal = openExportModal;
+window.closeExportModal = closeExportModal;
+window.submitExport = submitExport;
+window.openAlertActionModal = openAlertActionModal;
+window.closeAlertActionModal = closeAlertActionModal;
+window.submitAlertAction = submitAlertAction;
+window.dismissFeedingConflicts = dismissFeedingConflicts;
+window.openAlarmModal = openAlarmModal;
+window.closeAlarmModal = closeAlarmModal;
+window.saveAlarmModal = saveAlarmModal;
+window.testAlarm = testAlarm;
+window.snoozeAlarms = snoozeAlarms;
 
 console.log("AquaScope Dashboard JavaScript loaded successfully");
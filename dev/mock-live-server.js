@@ -0,0 +1,229 @@
+/**
+ * AquaScope - Mock live updates server (development only)
+ *
+ * Stands in for the API Gateway WebSocket API + AquaScope_LiveUpdates Lambda.
+ * Speaks the same protocol, with no dependencies beyond Node itself:
+ *
+ *   client -> { "action": "subscribe", "tank_id": "tank_001", "device_id": "aquasense_01" }
+ *   server -> { "type": "subscribed", tank_id, device_id }
+ *   server -> { "type": "reading", device_id, reading }     every READING_INTERVAL_MS
+ *   server -> { "type": "feeding", tank_id, event }         every FEEDING_INTERVAL_MS
+ *
+ * Usage:
+ *   node dev/mock-live-server.js
+ *   open index.html?live=ws://localhost:8787   (?live= with no value switches back)
+ *
+ * Env: PORT (8787), READING_INTERVAL_MS (5000), FEEDING_INTERVAL_MS (60000)
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const READING_INTERVAL_MS = Number(process.env.READING_INTERVAL_MS) || 5000;
+const FEEDING_INTERVAL_MS = Number(process.env.FEEDING_INTERVAL_MS) || 60000;
+
+// RFC 6455 handshake constant
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const clients = new Set(); // { socket, tankId, deviceId }
+
+// Random-walk sensor values per device
+const sensorState = {};
+
+/**
+ * Encode a text frame (server frames are never masked)
+ */
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete frames from the buffer (client frames are always masked)
+ * @returns {Object} { frames: [{ opcode, text }], rest: Buffer }
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+
+    const frameLength = headerLength + 4 + length;
+    if (buffer.length - offset < frameLength) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + frameLength));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, text: payload.toString("utf8") });
+    offset += frameLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(client, message) {
+  if (!client.socket.destroyed) {
+    client.socket.write(encodeFrame(JSON.stringify(message)));
+  }
+}
+
+/**
+ * Timestamps in the same shape AquaSence_DataProcessor stores (UTC ISO with offset)
+ */
+function isoNow() {
+  return new Date().toISOString().replace("Z", "+00:00");
+}
+
+function nextReading(deviceId) {
+  const walk = (value, step, min, max) => Math.min(max, Math.max(min, value + (Math.random() - 0.5) * step));
+  const state = sensorState[deviceId] || { temperature: 26.5, ph: 7.2, ammonia: 0.12, water_level: 85 };
+
+  state.temperature = walk(state.temperature, 0.2, 22, 31);
+  state.ph = walk(state.ph, 0.04, 6.2, 8.3);
+  state.ammonia = walk(state.ammonia, 0.02, 0, 0.6);
+  state.water_level = walk(state.water_level, 0.4, 60, 100);
+  sensorState[deviceId] = state;
+
+  return {
+    device_id: deviceId,
+    timestamp: isoNow(),
+    temperature: Number(state.temperature.toFixed(2)),
+    ph: Number(state.ph.toFixed(2)),
+    ammonia: Number(state.ammonia.toFixed(3)),
+    water_level: Number(state.water_level.toFixed(1)),
+  };
+}
+
+function handleMessage(client, text) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    console.warn("⚠️ Ignoring malformed message:", text);
+    return;
+  }
+
+  if (body.action === "subscribe" && body.tank_id && body.device_id) {
+    client.tankId = body.tank_id;
+    client.deviceId = body.device_id;
+    send(client, { type: "subscribed", tank_id: client.tankId, device_id: client.deviceId });
+    console.log(`🐟 Client subscribed to ${client.tankId} / ${client.deviceId}`);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket only - see dev/mock-live-server.js\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { socket, tankId: null, deviceId: null };
+  clients.add(client);
+  console.log(`📡 Client connected (${clients.size} open)`);
+
+  let pending = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+
+    frames.forEach((frame) => {
+      if (frame.opcode === 0x1) {
+        handleMessage(client, frame.text);
+      } else if (frame.opcode === 0x8) {
+        socket.end(encodeFrame("", 0x8));
+      } else if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(frame.text, 0xa));
+      }
+    });
+  });
+
+  const drop = () => {
+    if (clients.delete(client)) {
+      console.log(`👋 Client disconnected (${clients.size} open)`);
+    }
+  };
+  socket.on("close", drop);
+  socket.on("error", drop);
+});
+
+// One reading per subscribed device per interval, pushed to everyone watching it
+setInterval(() => {
+  const devices = new Set([...clients].map((c) => c.deviceId).filter(Boolean));
+
+  devices.forEach((deviceId) => {
+    const reading = nextReading(deviceId);
+    clients.forEach((client) => {
+      if (client.deviceId === deviceId) send(client, { type: "reading", device_id: deviceId, reading });
+    });
+  });
+}, READING_INTERVAL_MS);
+
+// Simulated FeederResponseLambdaHandler status update
+setInterval(() => {
+  const tanks = new Set([...clients].map((c) => c.tankId).filter(Boolean));
+
+  tanks.forEach((tankId) => {
+    const event = {
+      tank_id: tankId,
+      timestamp: isoNow(),
+      feedtime: isoNow(),
+      feed_quantity_g: 2,
+      status: Math.random() < 0.9 ? "Success" : "Failed",
+    };
+    clients.forEach((client) => {
+      if (client.tankId === tankId) send(client, { type: "feeding", tank_id: tankId, event });
+    });
+  });
+}, FEEDING_INTERVAL_MS);
+
+server.listen(PORT, () => {
+  console.log(`🌊 Mock live server on ws://localhost:${PORT}`);
+  console.log(`   Open index.html?live=ws://localhost:${PORT}`);
+});
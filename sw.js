@@ -0,0 +1,127 @@
+/**
+ * AquaScope Dashboard - Service Worker
+ *
+ * - App shell (pages, styles, app.js): network-first, cached copy when offline
+ * - CDN libraries: stale-while-revalidate - several URLs only pin a major version
+ *   (chart.js, chartjs-plugin-zoom@2, ...), so the cached copy is refreshed in the background
+ * - API GETs for profile, prediction calibration, prediction log, daily summaries,
+ *   water tests, feeding events, feeding plans and alerts: network-first; the last good
+ *   response is served offline, marked with X-AquaScope-Cached-At so the page can show
+ *   "offline, data as of X"
+ * - Readings are not handled here - app.js keeps them in IndexedDB (see loadReadings)
+ * - Non-GET requests always go to the network; app.js queues feeding changes itself
+ */
+
+const CACHE_VERSION = "aquascope-v1";
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const RUNTIME_CACHE = `${CACHE_VERSION}-runtime`;
+const API_CACHE = `${CACHE_VERSION}-api`;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "monitoring.html",
+  "feeding.html",
+  "alerts.html",
+  "accuracy.html",
+  "history.html",
+  "styles.css",
+  "app.js",
+  "manifest.webmanifest",
+  "assets/icon.svg",
+  "assets/fish-header.jpg",
+];
+
+const API_ORIGIN = "https://tfswuifr58.execute-api.ap-southeast-2.amazonaws.com";
+const CACHED_API_PATHS = ["/tank-profile", "/prediction-calibration", "/predictions", "/daily-summary", "/water-tests", "/feeding-events", "/feeding-plans", "/alerts"];
+const CDN_HOSTS = ["cdn.jsdelivr.net", "cdnjs.cloudflare.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => !key.startsWith(CACHE_VERSION)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirstShell(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else if (url.origin === API_ORIGIN && CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirstApi(request));
+  }
+});
+
+/**
+ * Pages are looked up without their query string (?tank=, ?live=)
+ */
+async function networkFirstShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === "navigate") return cache.match("index.html");
+    throw error;
+  }
+}
+
+/**
+ * Serve the cached copy right away (if any) and update it from the network for next time
+ */
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+
+  const refreshed = fetch(request).then((response) => {
+    // Opaque (no-cors) responses report status 0 but are still usable
+    if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+    return response;
+  });
+
+  if (!cached) return refreshed;
+  // Offline refresh failures are expected - the cached copy already answered
+  event.waitUntil(refreshed.catch(() => {}));
+  return cached;
+}
+
+async function networkFirstApi(request) {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      // Store a copy stamped with when it was fetched
+      const headers = new Headers(response.headers);
+      headers.set("X-AquaScope-Cached-At", new Date().toISOString());
+      const body = await response.clone().blob();
+      cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}